@@ -2,6 +2,11 @@ import * as shell from 'shelljs';
 
 const shelljs = shell.default;
 const pagegraphBinaryName = process.platform === 'win32' ? 'pagegraph-cli.exe' : 'pagegraph-cli';
+// pagegraph-cli is only needed for --backend cli, so a missing Rust toolchain isn't fatal
+if (!shelljs.which('cargo')) {
+  console.warn('cargo not found, skipping pagegraph-cli build (needed only for --backend cli)');
+  process.exit(0);
+}
 shelljs.rm('-rf', 'pagegraph-rust/');
 shelljs.exec('git clone https://github.com/brave-experiments/pagegraph-rust.git');
 shelljs.cd('pagegraph-rust');
@@ -0,0 +1,207 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { getHash, domainOrHost } from './utils.js';
+import { getCrawls, generateAllGraphs, crawlGraphFiles } from './graphs.js';
+import { openGraph, prepareBackend, queryFailed, requestScript } from './pagegraph.js';
+import { isScriptRequest } from './select.js';
+
+// Rules match scripts by registrable domain (subdomains included) and path, whatever the
+// query string, see tweakRules
+const ruleTarget = url => {
+  try {
+    return `${domainOrHost(url, true)}${new URL(url).pathname}`;
+  } catch (err) {
+    return url;
+  }
+};
+
+// Scriptlet rules of page scripts apply to the domains of their pages, see ruleDomainsForFrame
+const pageDomain = url => {
+  try {
+    return domainOrHost(url, false);
+  } catch (err) {
+    return url;
+  }
+};
+
+const fileName = url => {
+  try {
+    return path.basename(new URL(url).pathname);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * URL and content hash of every script loaded in the graphs of the crawls, as
+ * { kind: 'external', url, sha1 }, and of their inline and evaluated scripts, as
+ * { kind, pageUrl, sha1 }.
+ */
+export const readCurrentScripts = async (ctx, crawls) => {
+  const { logger, filterlists } = ctx;
+  await prepareBackend(ctx);
+  const scripts = new Map();
+  for (const { pageUrl, graphsDir, graphFile: graphFileName } of crawlGraphFiles(crawls)) {
+    const graphFile = path.join(graphsDir, graphFileName);
+    const graph = await openGraph(ctx, graphFile);
+    (await graph.pageScripts()).forEach(({ kind, source }) => {
+      const sha1 = getHash(source);
+      scripts.set(`${kind} ${pageUrl} ${sha1}`, { kind, pageUrl, sha1 });
+    });
+    // The filter list queries list every request of the graph, matched or not
+    const requestIds = new Set();
+    for (const filterlist of filterlists) {
+      let resources;
+      try {
+        resources = await graph.adblockRules(filterlist);
+      } catch (err) {
+        queryFailed(logger, graphFile, `adblock_rules ${path.basename(filterlist)}`, err);
+        continue;
+      }
+      resources.forEach(resource =>
+        resource.requests
+          .filter(isScriptRequest)
+          .forEach(request => requestIds.add(request.request_id))
+      );
+    }
+    await Promise.all(
+      [...requestIds].map(async requestId => {
+        const info = await requestScript(logger, graph, graphFile, requestId);
+        if (!info) return;
+        const { url, source } = info;
+        scripts.set(`${url} ${getHash(source)}`, {
+          kind: 'external',
+          url,
+          sha1: getHash(source),
+        });
+      })
+    );
+  }
+  return [...scripts.values()];
+};
+
+// Whether the inline or evaluated script of a manifest entry is still on the pages its
+// scriptlet rule applies to, or only on other pages
+const findStalePageScript = ({ kind, originalSha1, matches = [] }, currentScripts) => {
+  const domains = new Set(matches.map(({ pageUrl }) => pageDomain(pageUrl)));
+  const same = currentScripts.filter(
+    script => script.kind === kind && script.sha1 === originalSha1
+  );
+  const onPages = same.filter(({ pageUrl }) => domains.has(pageDomain(pageUrl)));
+  if (onPages.length > 0) return { status: 'unchanged', current: onPages };
+  return { status: same.length > 0 ? 'moved' : 'disappeared', current: same };
+};
+
+// Whether a rule's URL still serves the content of a script, see findStaleRules
+const findStaleUrl = (originalUrl, originalSha1, currentScripts) => {
+  const externalScripts = currentScripts.filter(({ kind = 'external' }) => kind === 'external');
+  const atUrl = externalScripts.filter(({ url }) => ruleTarget(url) === ruleTarget(originalUrl));
+  if (atUrl.some(({ sha1 }) => sha1 === originalSha1)) {
+    return { status: 'unchanged', current: atUrl };
+  }
+  if (atUrl.length > 0) return { status: 'changed', current: atUrl };
+  const domain = ruleTarget(originalUrl).split('/')[0];
+  let current = externalScripts.filter(({ sha1 }) => sha1 === originalSha1);
+  if (current.length == 0) {
+    current = externalScripts.filter(
+      ({ url }) =>
+        ruleTarget(url).split('/')[0] === domain && fileName(url) === fileName(originalUrl)
+    );
+  }
+  return { status: current.length > 0 ? 'moved' : 'disappeared', current };
+};
+
+/**
+ * Compare each rule of the scripts of a run manifest (scripts and pageScripts) with the
+ * scripts currently loaded by the pages (see readCurrentScripts). The original URL of a
+ * script and each of its aliases has a rule, matching the URL's registrable domain and
+ * path: it is unchanged if it still serves the same content, changed if it serves something
+ * else, moved if the content (or, failing that, the file name on the same domain) is now
+ * served from another URL, and disappeared otherwise. Rules of an alias give the URL of
+ * their script as aliasOf. The scriptlet rule of an inline or evaluated script is unchanged
+ * if the same source is still on a page of its domains, moved if it is only on other pages
+ * and disappeared otherwise.
+ */
+export const findStaleRules = (manifestScripts, currentScripts) =>
+  manifestScripts.flatMap(entry => {
+    const { name, resource, originalUrl, originalSha1, aliases = [], injection } = entry;
+    const result = (url, aliasOf, { status, current }) => ({
+      name,
+      resource,
+      injection: injection || 'redirect',
+      originalUrl: url,
+      aliasOf,
+      originalSha1,
+      status,
+      currentUrls: [...new Set(current.map(script => script.url || script.pageUrl))],
+      currentSha1s: [...new Set(current.map(({ sha1 }) => sha1))],
+    });
+    if (injection === 'scriptlet') {
+      return [result(originalUrl, null, findStalePageScript(entry, currentScripts))];
+    }
+    return [
+      result(originalUrl, null, findStaleUrl(originalUrl, originalSha1, currentScripts)),
+      ...aliases.map(alias =>
+        result(alias, originalUrl, findStaleUrl(alias, originalSha1, currentScripts))
+      ),
+    ];
+  });
+
+/**
+ * Check the rules of a previous run (from the manifest.json of the output directory) against
+ * freshly recorded graphs. Without URLs, the pages recorded in the manifest are crawled again.
+ * Writes check.json and resolves to { ok, scripts, crawls }.
+ */
+export const checkRules = async ctx => {
+  const { log, logger, manifestFile, checkReportFile, checkGraphsDir } = ctx;
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestFile, 'UTF-8'));
+  } catch (err) {
+    throw new Error(
+      `Cannot read ${manifestFile}, the check command needs a previous run's output`
+    );
+  }
+  let { urls } = ctx;
+  if (urls.length == 0 && !ctx.urlFile) {
+    const pageUrls = [
+      ...manifest.scripts,
+      ...(manifest.pageScripts || []),
+    ].flatMap(({ matches }) => matches.map(({ pageUrl }) => pageUrl));
+    urls = [...new Set(pageUrls)];
+  }
+  const checkCtx = { ...ctx, urls, graphsDir: checkGraphsDir };
+  const crawls = await getCrawls(checkCtx);
+  await generateAllGraphs(checkCtx, crawls);
+  const succeededCrawls = crawls.filter(crawl => !crawl.error);
+  if (succeededCrawls.length == 0) {
+    throw new Error('Failed to generate graphs for every URL, exiting');
+  }
+  log('Comparing scripts with the previous run...');
+  const currentScripts = await readCurrentScripts(ctx, succeededCrawls);
+  logger.debug(`Found ${currentScripts.length} scripts in the graphs`);
+  const scripts = findStaleRules(
+    [...manifest.scripts, ...(manifest.pageScripts || [])],
+    currentScripts
+  );
+  const report = {
+    checked: new Date().toISOString(),
+    ok: scripts.every(({ status }) => status === 'unchanged'),
+    scripts,
+  };
+  await fs.writeFile(checkReportFile, JSON.stringify(report, null, 2));
+  return { ...report, crawls };
+};
+
+// One line per rule to regenerate
+export const formatStaleRules = scripts => {
+  const stale = scripts.filter(({ status }) => status !== 'unchanged');
+  if (stale.length == 0) return 'Every rule is up to date';
+  return stale
+    .map(({ status, originalUrl, resource, injection, currentUrls }) => {
+      const now = currentUrls.length > 0 ? ` (now ${currentUrls.join(', ')})` : '';
+      const rule = injection === 'scriptlet' ? `+js(${resource})` : `redirect=${resource}`;
+      return `${status.padEnd(11)} ${originalUrl}${now}, ${rule}`;
+    })
+    .join('\n');
+};
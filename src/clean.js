@@ -0,0 +1,119 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import globby from 'globby';
+import { checkFileExistence } from './utils.js';
+import { stageNames } from './state.js';
+import { checkPolicyRecipes } from './recipes.js';
+
+// Check that the files needed by the given stages exist, and that the policy has recipes
+export const checkInputs = async (ctx, stages) => {
+  const { filterlists, policyJsonFile, recipesDirs, urlFile, selectAllowlist } = ctx;
+  if (stages.includes('extract') && filterlists.length == 0) {
+    throw new Error('Must provide at least one filter list (via filterLists)');
+  }
+  if (stages.includes('bundle') && !ctx.mergeInto != !ctx.resourcesDir) {
+    throw new Error('Must provide both the rules file and the resources directory to merge into');
+  }
+  const files = [
+    ...(stages.includes('crawl') && urlFile ? [urlFile] : []),
+    ...(stages.includes('extract') ? filterlists : []),
+    ...(stages.includes('extract') && selectAllowlist ? [selectAllowlist] : []),
+    ...(stages.includes('patch') && policyJsonFile ? [policyJsonFile] : []),
+    ...(stages.includes('patch') ? recipesDirs : []),
+  ];
+  await Promise.all(files.map(async file => checkFileExistence(file))).catch(err => {
+    const errMsg = err.path + ' not found!';
+    throw new Error(errMsg);
+  });
+  if (stages.includes('patch')) await checkPolicyRecipes(ctx);
+};
+
+// Files and directories written by each stage (graphs are handled separately)
+const stageOutputs = ctx => ({
+  crawl: [ctx.checkGraphsDir, ctx.checkReportFile],
+  extract: [ctx.scriptsDir],
+  patch: [
+    ctx.massagedConfigJsonFile,
+    ctx.traceFile,
+    ctx.reportFile,
+    ctx.rawRulesFile,
+    ctx.resourcesFile,
+  ],
+  bundle: [
+    ctx.rulesFile,
+    ctx.sugarcoatedScriptsDir,
+    ctx.sourceMapsDir,
+    ctx.diffReportsDir,
+    ctx.braveResourcesFile,
+    ctx.uboResourcesFile,
+    ctx.dnrDir,
+    ctx.manifestFile,
+    ctx.scriptTreeFile,
+    ctx.scriptTreeDotFile,
+    ctx.resourcesIndexFile,
+    ctx.verifyReportFile,
+  ],
+});
+
+// Remove what the given stage and the stages after it wrote, so it starts from its inputs
+export const cleanStageOutputs = async (ctx, stage) => {
+  const { logger, outputDir, graphsDir, scriptsDir, graphsDirOverrides } = ctx;
+  logger.debug(`Cleaning up outputs of ${stage} and later stages...`);
+  const outputs = stageOutputs(ctx);
+  const stages = stageNames.slice(stageNames.indexOf(stage));
+  await Promise.all(
+    stages
+      .flatMap(name => outputs[name])
+      .map(async file => fs.rm(file, { force: true, recursive: true }))
+  );
+  if (stage === 'patch') {
+    // sugarcoat writes the patched scripts next to the extracted ones
+    const patchedScripts = await globby(path.join(scriptsDir, '/sugarcoat-*.js'));
+    await Promise.all(patchedScripts.map(async file => fs.unlink(file)));
+  }
+  // and if not graphs dir override then graphs too
+  const isInGraphsDir = dir => dir === graphsDir || dir.startsWith(graphsDir + path.sep);
+  if (stage === 'crawl' && (!graphsDirOverrides || !graphsDirOverrides.some(isInGraphsDir))) {
+    await fs.rm(graphsDir, { force: true, recursive: true });
+  }
+  // Check if outputDir exists. If yes, then leave it be. If no, create it.
+  await checkFileExistence(outputDir).catch(_ => fs.mkdir(outputDir, { recursive: true }));
+  // Create scripts and graphs dir
+  await fs.mkdir(scriptsDir, { recursive: true });
+  if (stage === 'crawl' && !graphsDirOverrides) await fs.mkdir(graphsDir, { recursive: true });
+};
+
+// Always clean up at start of a full run
+export const preCheckAndClean = async ctx => {
+  await checkInputs(ctx, stageNames);
+  await cleanStageOutputs(ctx, 'crawl');
+};
+
+// Keep only essential files: rules.txt, sugarcoatedScriptsDir and the other outputs
+export const cleanIntermediaryFiles = async ctx => {
+  const { outputDir, graphsDir, scriptsDir, sugarcoatedScriptsDir, graphsDirOverrides } = ctx;
+  const { braveResourcesFile, uboResourcesFile, dnrDir, manifestFile, verifyReportFile } = ctx;
+  await fs.rm(scriptsDir, { recursive: true, force: true });
+  const filesToDelete = await globby(path.join(outputDir, '/**/*'), {
+    ignore: [
+      ctx.rulesFile,
+      sugarcoatedScriptsDir,
+      ctx.sourceMapsDir,
+      ctx.diffReportsDir,
+      braveResourcesFile,
+      uboResourcesFile,
+      dnrDir,
+      manifestFile,
+      ctx.resourcesIndexFile,
+      verifyReportFile,
+      ctx.scriptTreeFile,
+      ctx.scriptTreeDotFile,
+    ],
+  });
+  await Promise.all(
+    filesToDelete.map(async file => {
+      await fs.unlink(file);
+    })
+  );
+  if (!graphsDirOverrides) await fs.rm(graphsDir, { recursive: true, force: true });
+};
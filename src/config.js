@@ -0,0 +1,268 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { presetNames } from './policy.js';
+import { frameDomainModes } from './sources.js';
+import { treeScriptModes } from './tree.js';
+import { selectStrategies } from './select.js';
+import { formats } from './formats.js';
+import { backends } from './pagegraph.js';
+import { logLevels, logFormats } from './logger.js';
+
+export const defaultConfigFile = 'sugarcoat.config.json';
+export const envPrefix = 'SUGARCOAT_';
+
+/**
+ * Settings accepted in sugarcoat.config.json and SUGARCOAT_* variables, named like the
+ * options of runPipeline. type is one of string, integer, boolean, url or regex, list marks
+ * a list of them, min and max bound integers, choices lists the accepted values, file and
+ * dir mark paths that must exist.
+ */
+export const settingsSchema = {
+  binary: { type: 'string', file: true },
+  urls: { type: 'url', list: true },
+  urlFile: { type: 'string', file: true },
+  secs: { type: 'integer', min: 1 },
+  debug: { type: 'boolean' },
+  logLevel: { type: 'string', choices: logLevels },
+  logFormat: { type: 'string', choices: logFormats },
+  filterLists: { type: 'string', list: true, file: true },
+  policy: { type: 'string', file: true },
+  presets: { type: 'string', list: true, choices: presetNames },
+  recipes: { type: 'string', list: true, dir: true },
+  output: { type: 'string' },
+  graphsDirOverrides: { type: 'string', list: true, dir: true },
+  keep: { type: 'boolean' },
+  retries: { type: 'integer', min: 0 },
+  retryBackoff: { type: 'integer', min: 0 },
+  concurrency: { type: 'integer', min: 1 },
+  timeout: { type: 'integer', min: 1 },
+  crawlDepth: { type: 'integer', min: 0 },
+  maxPages: { type: 'integer', min: 1 },
+  minify: { type: 'boolean' },
+  keepOriginalScriptName: { type: 'boolean' },
+  frameDomains: { type: 'string', choices: frameDomainModes },
+  treeScripts: { type: 'string', choices: treeScriptModes },
+  ignoreQueryParams: { type: 'string', list: true },
+  wildcardVersions: { type: 'boolean' },
+  evalScriptlets: { type: 'boolean' },
+  select: { type: 'string', list: true, choices: selectStrategies },
+  selectPatterns: { type: 'regex', list: true },
+  selectAllowlist: { type: 'string', file: true },
+  mergeInto: { type: 'string' },
+  resourcesDir: { type: 'string', dir: true },
+  publish: { type: 'boolean' },
+  listTitle: { type: 'string' },
+  listVersion: { type: 'string' },
+  listExpires: { type: 'string' },
+  listHomepage: { type: 'url' },
+  listLicense: { type: 'string' },
+  verify: { type: 'boolean' },
+  formats: { type: 'string', list: true, choices: formats },
+  backend: { type: 'string', choices: backends },
+  host: { type: 'string' },
+  port: { type: 'integer', min: 0, max: 65535 },
+  workers: { type: 'integer', min: 1 },
+  maxUploadMb: { type: 'integer', min: 1 },
+};
+
+// Paths that don't need to exist beforehand
+const otherPathSettings = ['output', 'mergeInto'];
+
+const isPath = ({ file, dir }, name) => file || dir || otherPathSettings.includes(name);
+
+// filterLists is read from SUGARCOAT_FILTER_LISTS
+export const envName = name =>
+  envPrefix + name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+
+// Environment values are strings: integers and booleans are parsed, lists are comma-separated
+const parseEnvValue = (schema, value) => {
+  const parseOne = item => {
+    if (schema.type === 'integer') return /^-?\d+$/.test(item) ? Number(item) : item;
+    if (schema.type === 'boolean') {
+      if (['true', '1', 'yes'].includes(item.toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(item.toLowerCase())) return false;
+    }
+    return item;
+  };
+  if (!schema.list) return parseOne(value.trim());
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item)
+    .map(parseOne);
+};
+
+/**
+ * Settings from the SUGARCOAT_* variables of env, e.g. SUGARCOAT_SECS=60 or
+ * SUGARCOAT_FILTER_LISTS=easylist.txt,unbreak.txt. Returns { settings, warnings }, variables
+ * that name no setting being ignored with a warning: the environment is shared with other
+ * tools and versions, unlike the config file.
+ */
+export const readEnvSettings = env => {
+  const settings = {};
+  const warnings = [];
+  const names = Object.fromEntries(Object.keys(settingsSchema).map(name => [envName(name), name]));
+  Object.entries(env)
+    .filter(([variable]) => variable.startsWith(envPrefix))
+    .forEach(([variable, value]) => {
+      if (!(variable in names)) {
+        warnings.push(`${variable}: unknown setting, ignored`);
+        return;
+      }
+      const name = names[variable];
+      settings[name] = parseEnvValue(settingsSchema[name], value);
+    });
+  return { settings, warnings };
+};
+
+/**
+ * Settings of a sugarcoat.config.json file, with its relative paths resolved from the
+ * directory of the file. Returns { settings, problems }, problems listing the keys that name
+ * no setting. Throws if the file can't be read or isn't a JSON object.
+ */
+export const readConfigFile = async file => {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(file, 'UTF-8'));
+  } catch (err) {
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Cannot read config file ${file}: must be a JSON object`);
+  }
+  const settings = {};
+  const problems = [];
+  const dir = path.dirname(path.resolve(file));
+  Object.entries(config).forEach(([name, value]) => {
+    const schema = settingsSchema[name];
+    if (!schema) {
+      problems.push(`${name}: unknown setting`);
+      return;
+    }
+    const resolve = item =>
+      isPath(schema, name) && typeof item === 'string' ? path.resolve(dir, item) : item;
+    settings[name] = Array.isArray(value) ? value.map(resolve) : resolve(value);
+  });
+  return { settings, problems };
+};
+
+const exists = async (file, dir) => {
+  try {
+    const stat = await fs.stat(file);
+    return dir ? stat.isDirectory() : stat.isFile();
+  } catch (err) {
+    return false;
+  }
+};
+
+// Problems with one value of a setting, null if it is fine
+const checkValue = async (schema, value) => {
+  const { type, min, max, choices, file, dir } = schema;
+  switch (type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return `must be an integer, got ${JSON.stringify(value)}`;
+      if (min !== undefined && value < min) return `must be at least ${min}, got ${value}`;
+      if (max !== undefined && value > max) return `must be at most ${max}, got ${value}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean'
+        ? null
+        : `must be true or false, got ${JSON.stringify(value)}`;
+    case 'url': {
+      let url;
+      try {
+        url = new URL(value);
+      } catch (err) {
+        return `must be an http(s) URL, got ${JSON.stringify(value)}`;
+      }
+      return ['http:', 'https:'].includes(url.protocol)
+        ? null
+        : `must be an http(s) URL, got ${JSON.stringify(value)}`;
+    }
+    case 'regex':
+      if (typeof value !== 'string') return `must be a regex, got ${JSON.stringify(value)}`;
+      try {
+        new RegExp(value);
+      } catch (err) {
+        return `must be a regex: ${err.message}`;
+      }
+      return null;
+    default:
+      if (typeof value !== 'string') return `must be a string, got ${JSON.stringify(value)}`;
+      if (choices && !choices.includes(value)) {
+        return `must be one of ${choices}, got ${value}`;
+      }
+      if ((file || dir) && !(await exists(value, dir))) {
+        return `${value} not found${dir ? ' or not a directory' : ''}`;
+      }
+      return null;
+  }
+};
+
+/**
+ * Check settings against settingsSchema: types, ranges, choices, URL and regex syntax, and
+ * that the files and directories they name exist. sources maps setting names to where they
+ * came from, which problems mention. Resolves to the list of problems, empty if there is none.
+ */
+export const validateSettings = async (settings, sources = {}) => {
+  const problems = [];
+  for (const [name, value] of Object.entries(settings)) {
+    const schema = settingsSchema[name];
+    if (!schema || value === undefined || value === null) continue;
+    const from = sources[name] ? ` (from ${sources[name]})` : '';
+    const values = schema.list ? [].concat(value) : [value];
+    if (!schema.list && Array.isArray(value)) {
+      problems.push(`${name}: must be a single value${from}`);
+      continue;
+    }
+    for (const item of values) {
+      const problem = await checkValue(schema, item);
+      if (problem) problems.push(`${name}: ${problem}${from}`);
+    }
+  }
+  return problems;
+};
+
+/**
+ * Merge the settings of the config file (configFile, or sugarcoat.config.json in cwd if it
+ * exists), of the SUGARCOAT_* variables of env and of the command line (cliSettings, where
+ * undefined and null values are settings not given), each taking precedence over the
+ * previous ones, and validate them. Throws listing every problem found, so that nothing is
+ * crawled or cleaned up with wrong settings. Warnings (unknown SUGARCOAT_* variables) are
+ * passed to warn. Resolves to the merged settings.
+ */
+export const loadSettings = async ({
+  cliSettings = {},
+  configFile = null,
+  env = process.env,
+  cwd = process.cwd(),
+  warn = message => console.warn(message),
+} = {}) => {
+  const problems = [];
+  const sources = {};
+  let fileSettings = {};
+  const file = configFile || path.join(cwd, defaultConfigFile);
+  if (configFile || (await exists(file, false))) {
+    try {
+      const config = await readConfigFile(file);
+      fileSettings = config.settings;
+      problems.push(...config.problems.map(problem => `${problem} (in ${file})`));
+      Object.keys(fileSettings).forEach(name => (sources[name] = file));
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+  const envSettings = readEnvSettings(env);
+  envSettings.warnings.forEach(warning => warn(warning));
+  Object.keys(envSettings.settings).forEach(name => (sources[name] = envName(name)));
+  const given = Object.fromEntries(
+    Object.entries(cliSettings).filter(([, value]) => value !== undefined && value !== null)
+  );
+  Object.keys(given).forEach(name => (sources[name] = 'command line'));
+  const settings = { ...fileSettings, ...envSettings.settings, ...given };
+  problems.push(...(await validateSettings(settings, sources)));
+  if (problems.length > 0) {
+    throw new Error(`Invalid settings:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  return settings;
+};
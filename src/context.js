@@ -0,0 +1,187 @@
+import * as path from 'path';
+import { packageDir } from './utils.js';
+import { defaultSelect } from './select.js';
+import {
+  defaultListTitle,
+  defaultListExpires,
+  defaultListHomepage,
+  defaultListLicense,
+} from './publish.js';
+import { defaultConcurrency, defaultBackoffSecs } from './process.js';
+import { defaultPort, defaultHost, defaultWorkers, defaultMaxUploadMb } from './serve.js';
+import { createLogger } from './logger.js';
+
+export const defaultCrawlSecs = 30;
+export const defaultPolicyJson = path.join(packageDir, 'policy.json');
+export const defaultOutputDir = 'output';
+export const defaultRetries = 5;
+export const defaultMaxPages = 10;
+
+/**
+ * Build the state shared by all pipeline stages from user options.
+ *
+ * Options:
+ *   urls: URL or list of URLs to record
+ *   urlFile: path to a file with one URL to record per line
+ *   binary: path to the PageGraph-enabled build of Brave (needed unless graphsDirOverrides is set)
+ *   filterLists: list of filter list paths (required to extract scripts)
+ *   policy: path to policy file (default policy.json, none if presets are given)
+ *   presets: policy presets whose APIs are added to the policy, any of 'storage', 'network',
+ *     'fingerprinting' and 'all'
+ *   recipes: directories of recipes for the policy APIs, in addition to the built-in ones
+ *   recipeArgs: what the recipes command does: ['list'] (default) or ['new', api, mock]
+ *   output: path to output directory
+ *   graphsDirOverrides: one graphs directory per URL, skips PageGraph generation
+ *   secs, retries: crawl dwell time and number of crawls of a URL before giving up
+ *   retryBackoff: seconds to wait before crawling a URL again, doubled at each new attempt
+ *   concurrency: maximum number of processes (crawls, pagegraph-cli queries) run at once
+ *   timeout: seconds after which any process is killed (default: the dwell time plus two
+ *     minutes for crawls, two minutes for pagegraph-cli queries and none for sugarcoat)
+ *   crawlDepth: also crawl the same-site pages linked from each URL, up to this many links
+ *     away (default 0, only the URL itself)
+ *   maxPages: maximum number of pages crawled per URL when following links
+ *   keep: do not erase intermediary files at the end of a full run
+ *   resume: continue a full run from the first stage not finished yet
+ *   minify: minify generated scripts (default true)
+ *   frameDomains: page domains of the rules for scripts loaded in a subframe: those of the
+ *     frame and of the page ('both', default), of the frame ('frame') or of the page ('top')
+ *   treeScripts: scripts sugarcoated in each tree of scripts loading scripts, every one
+ *     ('all', default), only the one of the picked request ('root') or only those loading
+ *     no other script ('leaves')
+ *   ignoreQueryParams: query parameters ('*' for all) not making script URLs different
+ *   wildcardVersions: merge rules for URLs only differing by version segments into one
+ *     rule with a * in place of those segments
+ *   evalScriptlets: also patch code compiled by new Function with scriptlets wrapping
+ *     Function on the page domains (code evaluated with eval is never patched)
+ *   select: strategies picking the scripts to sugarcoat, some of 'excepted' (default),
+ *     'blocked', 'third-party', 'pattern' and 'allowlist'
+ *   selectPatterns: URL regexes for the 'pattern' strategy
+ *   selectAllowlist: path to the file of domains and URL patterns for the 'allowlist' strategy
+ *   mergeInto: path to a published rules file to merge the generated rules into
+ *   resourcesDir: path to the directory of the scripts of the mergeInto list
+ *   publish: write the rules as a complete filter list (header, sorted rules and checksum)
+ *     with an index of the SHA-256 and SRI strings of the scripts
+ *   listTitle, listVersion, listExpires, listHomepage, listLicense: header of the published
+ *     list, the version defaulting to the time of the run (e.g. 202110191230)
+ *   verify: check the generated scripts and rules after generating them
+ *   explain: stop before sugarcoat and explain which scripts would be picked and why
+ *   keepOriginalScriptName: do not rename generated scripts to the hash of their contents
+ *   formats: extra outputs for other blockers, any of 'brave', 'ubo' and 'dnr'
+ *   host, port: where the serve command listens (default 127.0.0.1:8420)
+ *   workers: number of jobs the serve command runs at once (default 1)
+ *   maxUploadMb: largest job the serve command accepts, uploads included (default 200)
+ *   backend: how graphs are queried, in-process ('js', default) or with pagegraph-cli ('cli')
+ *   debug: print debugging information, same as logLevel 'debug'
+ *   logLevel: least important messages logged, one of 'error', 'warn', 'info' (default)
+ *     and 'debug'
+ *   logFormat: 'text' (default) or 'json', one JSON object per message and per event of
+ *     the stages, crawls and scripts (see createLogger)
+ *   log: function called with each line logged and its level. Without it, errors, warnings
+ *     and debugging information go to the console, progress messages nowhere
+ */
+export const createContext = (options = {}) => {
+  const outputDir = path.resolve(options.output || defaultOutputDir);
+  const urls = options.urls ? [].concat(options.urls) : [];
+  const presets = options.presets ? [].concat(options.presets) : [];
+  const logLevel = options.logLevel || (options.debug ? 'debug' : 'info');
+  const logger = createLogger({
+    level: logLevel,
+    format: options.logFormat || 'text',
+    log: options.log || null,
+  });
+  return {
+    // Options
+    binary: options.binary,
+    urls,
+    urlFile: options.urlFile || null,
+    policyJsonFile: options.policy || (presets.length > 0 ? null : defaultPolicyJson),
+    presets,
+    recipesDirs: options.recipes ? [].concat(options.recipes).map(dir => path.resolve(dir)) : [],
+    recipeArgs: options.recipeArgs || [],
+    filterlists: options.filterLists || [],
+    debug: logLevel === 'debug',
+    logLevel,
+    logFormat: logger.format,
+    secs: options.secs === undefined ? defaultCrawlSecs : options.secs,
+    keep: !!options.keep,
+    resume: !!options.resume,
+    retries: options.retries === undefined ? defaultRetries : options.retries,
+    retryBackoff: options.retryBackoff === undefined ? defaultBackoffSecs : options.retryBackoff,
+    concurrency: options.concurrency || defaultConcurrency,
+    timeout: options.timeout || null,
+    crawlDepth: options.crawlDepth || 0,
+    maxPages: options.maxPages === undefined ? defaultMaxPages : options.maxPages,
+    graphsDirOverrides: options.graphsDirOverrides
+      ? [].concat(options.graphsDirOverrides).map(dir => path.resolve(dir))
+      : null,
+    minify: options.minify === undefined ? true : !!options.minify,
+    frameDomains: options.frameDomains || 'both',
+    treeScripts: options.treeScripts || 'all',
+    ignoreQueryParams: options.ignoreQueryParams ? [].concat(options.ignoreQueryParams) : [],
+    wildcardVersions: !!options.wildcardVersions,
+    evalScriptlets: !!options.evalScriptlets,
+    select: options.select ? [].concat(options.select) : defaultSelect,
+    selectPatterns: options.selectPatterns ? [].concat(options.selectPatterns) : [],
+    selectAllowlist: options.selectAllowlist || null,
+    mergeInto: options.mergeInto ? path.resolve(options.mergeInto) : null,
+    resourcesDir: options.resourcesDir ? path.resolve(options.resourcesDir) : null,
+    publish: !!options.publish,
+    listTitle: options.listTitle || defaultListTitle,
+    listVersion: options.listVersion || null,
+    listExpires: options.listExpires || defaultListExpires,
+    listHomepage: options.listHomepage || defaultListHomepage,
+    listLicense: options.listLicense || defaultListLicense,
+    verify: !!options.verify,
+    explain: !!options.explain,
+    useHashForName: !options.keepOriginalScriptName,
+    backend: options.backend || 'js',
+    outputFormats: options.formats || [],
+    host: options.host || defaultHost,
+    port: options.port === undefined ? defaultPort : options.port,
+    workers: options.workers || defaultWorkers,
+    maxUploadMb: options.maxUploadMb || defaultMaxUploadMb,
+    logger,
+    log: logger.info, // Progress messages
+    // Directory paths
+    outputDir,
+    graphsDir: path.join(outputDir, '/graphs'),
+    scriptsDir: path.join(outputDir, '/scripts'),
+    sugarcoatedScriptsDir: path.join(outputDir, '/sugarcoat_scripts'),
+    sourceMapsDir: path.join(outputDir, '/sugarcoat_sourcemaps'),
+    diffReportsDir: path.join(outputDir, '/sugarcoat_diffs'),
+    // Generated SugarCoat files paths
+    massagedConfigJsonFile: path.join(outputDir, '/config.json'),
+    traceFile: path.join(outputDir, '/sugarcoat_trace.json'),
+    reportFile: path.join(outputDir, '/sugarcoat_report.html'),
+    rulesFile: path.join(outputDir, '/sugarcoat_rules.txt'),
+    resourcesFile: path.join(outputDir, '/sugarcoat_resources.json'),
+    rawRulesFile: path.join(outputDir, '/sugarcoat_rules_raw.txt'), // before tweakRules
+    stateFile: path.join(outputDir, '/state.json'),
+    failureLogFile: path.join(outputDir, '/sugarcoat_failures.log'),
+    // Output formats paths
+    braveResourcesFile: path.join(outputDir, '/sugarcoat_resources_brave.json'),
+    uboResourcesFile: path.join(outputDir, '/sugarcoat_resources_ubo.txt'),
+    dnrDir: path.join(outputDir, '/sugarcoat_dnr'),
+    manifestFile: path.join(outputDir, '/manifest.json'),
+    scriptTreeFile: path.join(outputDir, '/script_tree.json'),
+    scriptTreeDotFile: path.join(outputDir, '/script_tree.dot'),
+    resourcesIndexFile: path.join(outputDir, '/sugarcoat_resources_index.json'),
+    verifyReportFile: path.join(outputDir, '/verify.json'),
+    // check command paths
+    checkGraphsDir: path.join(outputDir, '/check_graphs'),
+    checkReportFile: path.join(outputDir, '/check.json'),
+    // serve command paths, one directory per job
+    jobsDir: path.join(outputDir, '/jobs'),
+    // State filled in by the stages
+    scriptNameToUrl: {}, // Used to get 'patterns' URL for each script
+    urlsSeen: new Map(), // Normalized URLs and source hashes of stored scripts, to their URL
+    scriptUrlAliases: {}, // Other URLs of the same script, which get rules too
+    scriptUrlToPageDomains: {}, // Used to get 'domain=' option for each script
+    scriptUrlToMatches: {}, // Filters and edges that led to each script, for the manifest
+    pageScripts: {}, // Kind and source fingerprint of the inline and evaluated scripts, by name
+    scriptTrees: [], // Scripts loaded by each picked script and the scripts they loaded
+    selection: null, // Strategies used to pick the scripts, for the rules header
+    adblockEngines: new Map(), // One adblock-rs engine per filter list, for the js backend
+    processLimiter: null, // Keeps to concurrency processes at once, see runProcess
+  };
+};
@@ -0,0 +1,192 @@
+import * as path from 'path';
+import { openGraph, prepareBackend, queryFailed, requestScript } from './pagegraph.js';
+import { createLogger } from './logger.js';
+import { createSelector, loadSelector, isScriptRequest } from './select.js';
+import { crawlGraphFiles } from './graphs.js';
+import { buildScriptTree, selectTreeScripts } from './tree.js';
+
+// Status of a request no selection strategy picked, from the filters that matched it
+const matchReason = ({ blocking_filter, exception_filter }) => {
+  if (blocking_filter && exception_filter) {
+    return {
+      status: 'excepted',
+      reason: `blocked by ${blocking_filter}, excepted by ${exception_filter}`,
+    };
+  }
+  if (blocking_filter) {
+    return { status: 'blocked', reason: `blocked by ${blocking_filter} without exception` };
+  }
+  if (exception_filter) {
+    return { status: 'excepted', reason: `excepted by ${exception_filter} without blocking rule` };
+  }
+  return { status: 'ignored', reason: 'no rule matched' };
+};
+
+// Script URL of a request id, or null if the request did not load a script
+const scriptUrl = async (logger, graph, graphFile, requestId) => {
+  const info = await requestScript(logger, graph, graphFile, requestId);
+  return info ? info.url : null;
+};
+
+/**
+ * Explain, for one filter list, why each script request of a graph (as opened by openGraph)
+ * of the page at pageUrl was or wasn't picked by getSources with the given selector (see
+ * createSelector, the default picks blocked but excepted requests) and treeScripts mode
+ * (see selectTreeScripts). Resolves to one entry per script request with its URL, matched
+ * filters, status (selected, blocked, excepted, ignored or error), the reason and the
+ * scripts it pulled in. Other failed queries are reported to logger as failed events, under
+ * the name of graphFile.
+ */
+export const explainGraph = async (
+  graph,
+  filterlist,
+  {
+    select = createSelector(),
+    pageUrl = null,
+    treeScripts = 'all',
+    logger = createLogger(),
+    graphFile = '',
+  } = {}
+) => {
+  let adblockRulesOutput;
+  try {
+    adblockRulesOutput = await graph.adblockRules(filterlist);
+  } catch (err) {
+    return [{ status: 'error', reason: `querying the graph failed: ${err.message}` }];
+  }
+  const requests = adblockRulesOutput.flatMap(resource =>
+    resource.requests.filter(isScriptRequest).map(request => ({ ...request, url: resource.url }))
+  );
+  const picked = await Promise.all(requests.map(request => select(request, pageUrl)));
+  const filters = new Map(requests.map(request => [String(request.request_id), request]));
+  // Script tree of each picked request, and the scripts getSources extracts from it
+  const scriptUrls = new Map();
+  const pulledIn = new Map();
+  const extractedBy = new Map();
+  await Promise.all(
+    requests
+      .filter((request, index) => picked[index])
+      .map(async request => {
+        const tree = await graph.requestTree(request.edge_id);
+        await Promise.all(
+          tree.map(async ({ requestId }) => {
+            const url = await scriptUrl(logger, graph, graphFile, requestId);
+            if (url) scriptUrls.set(requestId, url);
+          })
+        );
+        const root = buildScriptTree(tree, scriptUrls, filters);
+        pulledIn.set(
+          request,
+          tree.map(({ requestId }) => requestId).filter(id => id !== String(request.request_id))
+        );
+        selectTreeScripts(root, treeScripts).forEach(requestId => {
+          if (!extractedBy.has(requestId)) extractedBy.set(requestId, []);
+          extractedBy.get(requestId).push(request);
+        });
+      })
+  );
+  return Promise.all(
+    requests.map(async (request, index) => {
+      // Tree request ids are strings, whatever the backend
+      const requestId = String(request.request_id);
+      let { status, reason } = picked[index]
+        ? { status: 'selected', reason: picked[index] }
+        : matchReason(request);
+      const parents = (extractedBy.get(requestId) || [])
+        .filter(parent => parent !== request)
+        .map(parent => parent.url);
+      if (status !== 'selected' && parents.length > 0) {
+        reason = `pulled in by ${[...new Set(parents)].join(', ')} (${reason})`;
+        status = 'selected';
+      }
+      if (status === 'selected' && !scriptUrls.has(requestId)) {
+        status = 'ignored';
+        reason = `did not load a script (${reason})`;
+      } else if (status === 'selected' && !extractedBy.has(requestId)) {
+        status = 'ignored';
+        reason = `left out by --tree-scripts ${treeScripts} (${reason})`;
+      }
+      const downstreamUrls = (pulledIn.get(request) || []).map(id => scriptUrls.get(id));
+      return {
+        url: request.url,
+        requestId: request.request_id,
+        edgeId: request.edge_id,
+        blockingFilter: request.blocking_filter || null,
+        exceptionFilter: request.exception_filter || null,
+        status,
+        reason,
+        pullsIn: [...new Set(downstreamUrls.filter(url => url))],
+      };
+    })
+  );
+};
+
+// Explain the script selection of getSources for every graph of every crawl and filter list
+export const explainSources = async (ctx, crawls) => {
+  const { logger, filterlists, treeScripts } = ctx;
+  await prepareBackend(ctx);
+  const select = await loadSelector(ctx);
+  const graphs = crawlGraphFiles(crawls).map(({ pageUrl, graphsDir, graphFile }) => ({
+    url: pageUrl,
+    graphFile: path.join(graphsDir, graphFile),
+  }));
+  const explanations = await Promise.all(
+    graphs.map(async ({ url, graphFile }) => {
+      const graph = await openGraph(ctx, graphFile);
+      const frame = await graph.frame().catch(err => {
+        queryFailed(logger, graphFile, 'frame', err);
+        return null;
+      });
+      const perList = await Promise.all(
+        filterlists.map(async filterList =>
+          (
+            await explainGraph(graph, filterList, {
+              select,
+              pageUrl: url,
+              treeScripts,
+              logger,
+              graphFile,
+            })
+          ).map(entry => ({
+            pageUrl: url,
+            graphFile,
+            frame,
+            filterList,
+            ...entry,
+          }))
+        )
+      );
+      return perList.flat();
+    })
+  );
+  return explanations.flat();
+};
+
+const frameLabel = frame => {
+  if (!frame) return '';
+  return frame.isRoot ? 'root' : frame.frameId || '';
+};
+
+// Aligned table of the entries of explainSources, one line per script request
+export const formatExplanation = entries => {
+  const header = ['STATUS', 'LIST', 'FRAME', 'SCRIPT', 'REASON', 'PULLS IN'];
+  const rows = entries.map(entry => [
+    entry.status,
+    entry.filterList ? path.basename(entry.filterList) : '',
+    frameLabel(entry.frame),
+    entry.url || entry.graphFile,
+    entry.reason,
+    (entry.pullsIn || []).join(' '),
+  ]);
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map(row => row[column].length))
+  );
+  return [header, ...rows]
+    .map(row =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join('  ')
+        .trimEnd()
+    )
+    .join('\n');
+};
@@ -0,0 +1,123 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+
+// Outputs for other blockers, written next to sugarcoat_rules.txt
+export const formats = ['brave', 'ubo', 'dnr'];
+
+const scriptMime = 'application/javascript';
+const dnrScriptsDirName = 'sugarcoat';
+
+// Adblock-rust resources, loaded alongside the rules by Brave
+export const toBraveResources = resources =>
+  resources.map(({ name, content }) => ({
+    name,
+    aliases: [],
+    kind: { mime: scriptMime },
+    content: Buffer.from(content).toString('base64'),
+  }));
+
+// uBlock Origin resources file (as used by userResourcesLocation): a `name mime` line,
+// then the content, then a blank line. A blank line in the content would end the resource
+// early, so redirect resources with one are base64-encoded, which uBO serves as a data: URL.
+// Scriptlets are injected as text and can't be encoded, those with a blank line are refused.
+export const toUboResources = (resources, scriptletResources = []) => {
+  const toUboResource = scriptlet => ({ name, content }) => {
+    const lines = content.replace(/\r?\n$/, '').split(/\r?\n/);
+    if (!lines.some(line => line.trim() === '')) {
+      return [`${name} ${scriptMime}`, ...lines, ''].join('\n');
+    }
+    if (scriptlet) {
+      throw new Error(`Cannot write scriptlet ${name} as a uBO resource, it has blank lines`);
+    }
+    return [`${name} ${scriptMime};base64`, Buffer.from(content).toString('base64'), ''].join(
+      '\n'
+    );
+  };
+  return [
+    ...resources.map(toUboResource(false)),
+    ...scriptletResources.map(toUboResource(true)),
+  ].join('\n');
+};
+
+// Chrome MV3 declarativeNetRequest rules redirecting scripts to copies packaged in the
+// extension, only when requested from the same page domains as the rules file
+export const toDnrRules = redirects =>
+  redirects.map(({ urlPattern, pageDomains, resourceName }, index) => ({
+    id: index + 1,
+    priority: 1,
+    action: {
+      type: 'redirect',
+      redirect: { extensionPath: `/${dnrScriptsDirName}/${resourceName}.js` },
+    },
+    condition: {
+      urlFilter: urlPattern,
+      resourceTypes: ['script'],
+      initiatorDomains: pageDomains,
+    },
+  }));
+
+// The generated script file of a redirect=<name> option, with or without .js extension
+export const readResources = async (sugarcoatedScriptsDir, redirects) => {
+  const files = await fs.readdir(sugarcoatedScriptsDir);
+  const names = [...new Set(redirects.map(({ resourceName }) => resourceName))];
+  return Promise.all(
+    names.map(async name => {
+      const file = files.find(file => file === name || file === `${name}.js`);
+      if (!file) {
+        throw new Error(`No generated script found for redirect=${name}`);
+      }
+      const content = await fs.readFile(path.join(sugarcoatedScriptsDir, file), 'UTF-8');
+      return { name, content };
+    })
+  );
+};
+
+// Scriptlet resources, looked up by +js(<name>) as <name>.js
+export const readScriptletResources = async (sugarcoatedScriptsDir, scriptlets) =>
+  (await readResources(sugarcoatedScriptsDir, scriptlets)).map(({ name, content }) => ({
+    name: `${name}.js`,
+    content,
+  }));
+
+export const writeFormats = async (ctx, redirects, scriptlets = []) => {
+  const { logger, outputFormats, sugarcoatedScriptsDir } = ctx;
+  const unknownFormats = outputFormats.filter(format => !formats.includes(format));
+  if (unknownFormats.length > 0) {
+    throw new Error(`Unknown output format(s) ${unknownFormats}, must be one of ${formats}`);
+  }
+  const resources = await readResources(sugarcoatedScriptsDir, redirects);
+  const scriptletResources = await readScriptletResources(sugarcoatedScriptsDir, scriptlets);
+  const written = {};
+  if (outputFormats.includes('brave')) {
+    written.brave = ctx.braveResourcesFile;
+    const braveResources = JSON.stringify(
+      toBraveResources([...resources, ...scriptletResources]),
+      null,
+      2
+    );
+    await fs.writeFile(ctx.braveResourcesFile, braveResources);
+  }
+  if (outputFormats.includes('ubo')) {
+    written.ubo = ctx.uboResourcesFile;
+    await fs.writeFile(ctx.uboResourcesFile, toUboResources(resources, scriptletResources));
+  }
+  if (outputFormats.includes('dnr')) {
+    // declarativeNetRequest can only redirect, page scripts need an extension content script
+    if (scriptlets.length > 0) {
+      logger.warn(`Left ${scriptlets.length} inline or evaluated script(s) out of the dnr output`);
+    }
+    written.dnr = ctx.dnrDir;
+    const dnrScriptsDir = path.join(ctx.dnrDir, dnrScriptsDirName);
+    await fs.rm(ctx.dnrDir, { force: true, recursive: true });
+    await fs.mkdir(dnrScriptsDir, { recursive: true });
+    await Promise.all(
+      resources.map(({ name, content }) =>
+        fs.writeFile(path.join(dnrScriptsDir, `${name}.js`), content)
+      )
+    );
+    const dnrRules = JSON.stringify(toDnrRules(redirects), null, 2);
+    await fs.writeFile(path.join(ctx.dnrDir, 'rules.json'), dnrRules);
+  }
+  logger.debug(`Wrote output formats: ${JSON.stringify(written)}`);
+  return written;
+};
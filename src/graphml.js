@@ -0,0 +1,300 @@
+import { promises as fs } from 'fs';
+
+/**
+ * In-process reader for the GraphML files written by PageGraph, answering the same
+ * questions as the pagegraph-cli adblock_rules, downstream_requests and request_id_info
+ * subcommands without spawning a process per query.
+ */
+
+const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeXml = text =>
+  text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, data) => data.replace(/&/g, '&amp;'))
+    .replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (entity, name) => {
+      if (name.startsWith('#x')) return String.fromCodePoint(parseInt(name.slice(2), 16));
+      if (name.startsWith('#')) return String.fromCodePoint(parseInt(name.slice(1), 10));
+      return name in entities ? entities[name] : entity;
+    });
+
+const readAttributes = tag => {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w:.-]+)="([^"]*)"/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+};
+
+// Map each <data key="dN"> of an element body to the attr.name of key dN
+const readData = (body, keys) => {
+  const data = {};
+  for (const [, key, value] of body.matchAll(/<data key="([^"]+)"(?:\/>|>([\s\S]*?)<\/data>)/g)) {
+    data[keys[key] || key] = value === undefined ? '' : decodeXml(value);
+  }
+  return data;
+};
+
+// URL and frame of the document the graph was recorded for
+export const parseGraphmlDesc = xml => {
+  const desc = (xml.match(/<desc>([\s\S]*?)<\/desc>/) || [])[1] || '';
+  const field = name => {
+    const match = desc.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+    return match ? decodeXml(match[1]) : null;
+  };
+  return { url: field('url'), isRoot: field('is_root') === 'true', frameId: field('frame_id') };
+};
+
+export const parseGraphml = xml => {
+  const keys = {};
+  for (const [tag] of xml.matchAll(/<key\b[^>]*>/g)) {
+    const { id, 'attr.name': name } = readAttributes(tag);
+    keys[id] = name;
+  }
+  const nodes = new Map();
+  for (const [, tag, body = ''] of xml.matchAll(/<node\b([^>]*?)(?:\/>|>([\s\S]*?)<\/node>)/g)) {
+    const { id } = readAttributes(tag);
+    nodes.set(id, { ...readData(body, keys), id });
+  }
+  const edges = new Map();
+  // Edges by source node, by target node and, for request start edges, by request id, so
+  // that queries don't scan every edge
+  const outEdges = new Map();
+  const inEdges = new Map();
+  const requestEdges = new Map();
+  const addTo = (index, key, edge) => {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(edge);
+  };
+  for (const [, tag, body = ''] of xml.matchAll(/<edge\b([^>]*?)(?:\/>|>([\s\S]*?)<\/edge>)/g)) {
+    const { id, source, target } = readAttributes(tag);
+    const edge = { ...readData(body, keys), id, source, target };
+    edges.set(id, edge);
+    addTo(outEdges, source, edge);
+    addTo(inEdges, target, edge);
+    if (edge['edge type'] === 'request start') addTo(requestEdges, edge['request id'], edge);
+  }
+  return { ...parseGraphmlDesc(xml), nodes, edges, outEdges, inEdges, requestEdges };
+};
+
+export const readGraphml = async file => parseGraphml(await fs.readFile(file, 'UTF-8'));
+
+const edgesFrom = (graph, nodeId, edgeType) =>
+  (graph.outEdges.get(nodeId) || []).filter(edge => edge['edge type'] === edgeType);
+
+const edgesTo = (graph, nodeId, edgeType) =>
+  (graph.inEdges.get(nodeId) || []).filter(edge => edge['edge type'] === edgeType);
+
+// PageGraph request types to the request types understood by adblock-rs
+const adblockRequestType = requestType => {
+  if (/^Script/.test(requestType)) return 'script';
+  const types = {
+    Image: 'image',
+    CSS: 'stylesheet',
+    Document: 'document',
+    Subdocument: 'sub_frame',
+    AJAX: 'xmlhttprequest',
+    Fetch: 'xmlhttprequest',
+    Font: 'font',
+    Media: 'media',
+  };
+  return types[requestType] || 'other';
+};
+
+// Same shape as the output of `pagegraph-cli adblock_rules`: one entry per requested
+// resource, with the filters of the given adblock-rs engine that matched each request
+export const adblockRules = (graph, engine) => {
+  const resources = new Map();
+  graph.edges.forEach(edge => {
+    if (edge['edge type'] !== 'request start') return;
+    const resource = graph.nodes.get(edge.target);
+    if (!resource || !resource.url) return;
+    const requestType = adblockRequestType(edge['request type']);
+    let result;
+    try {
+      result = engine.check(resource.url, graph.url, requestType, true);
+    } catch (err) {
+      return; // if there is a weirdly-shaped domain, don't error out
+    }
+    if (!resources.has(resource.id)) {
+      resources.set(resource.id, { url: resource.url, requests: [] });
+    }
+    resources.get(resource.id).requests.push({
+      edge_id: edge.id,
+      request_id: edge['request id'],
+      request_type: requestType,
+      blocking_filter: result.filter || null,
+      exception_filter: result.exception || null,
+    });
+  });
+  return [...resources.values()];
+};
+
+// Walk from the given nodes (each with the request id of the script it belongs to, its owner)
+// through the scripts they executed and the nodes they created, and add the request ids of
+// the requests made on the way to parents, each with the request id of the script that made
+// it. Scripts executed by an element were loaded by the element's request (<script src>),
+// nodes created by a script and code it evaluated belong to that script.
+const walkRequests = (graph, starts, parents = new Map()) => {
+  const seen = new Set();
+  const queue = [...starts];
+  for (let next = 0; next < queue.length; next++) {
+    const { nodeId, owner } = queue[next];
+    if (seen.has(nodeId)) continue;
+    seen.add(nodeId);
+    const requests = edgesFrom(graph, nodeId, 'request start');
+    requests.forEach(
+      request => parents.has(request['request id']) || parents.set(request['request id'], owner)
+    );
+    const node = graph.nodes.get(nodeId);
+    const loader =
+      node && node['node type'] !== 'script' && requests.length > 0
+        ? requests[0]['request id']
+        : owner;
+    edgesFrom(graph, nodeId, 'execute').forEach(({ target }) =>
+      queue.push({ nodeId: target, owner: loader })
+    );
+    edgesFrom(graph, nodeId, 'create node').forEach(({ target }) =>
+      queue.push({ nodeId: target, owner })
+    );
+  }
+  return parents;
+};
+
+// Request ids of the requests made by the given node, by the nodes it created and by the
+// scripts those executed
+const requestsFrom = (graph, nodeId) => [...walkRequests(graph, [{ nodeId, owner: null }]).keys()];
+
+/**
+ * The requests downstream of the given request start edge, as { requestId, parentRequestId }:
+ * its own request (with a null parent) and every request made by the script it loaded, by
+ * the nodes that script created and by the scripts those nodes executed in turn, each with
+ * the request id of the script that made it.
+ */
+export const requestTree = (graph, edgeId) => {
+  const edge = graph.edges.get(edgeId);
+  if (!edge || edge['edge type'] !== 'request start') {
+    throw new Error(`${edgeId} is not a request start edge`);
+  }
+  const rootId = edge['request id'];
+  const starts = edgesFrom(graph, edge.source, 'execute').map(({ target }) => ({
+    nodeId: target,
+    owner: rootId,
+  }));
+  const parents = walkRequests(graph, starts, new Map([[rootId, null]]));
+  return [...parents].map(([requestId, parentRequestId]) => ({ requestId, parentRequestId }));
+};
+
+// Request ids of the given request start edge and of every request made by the script it
+// loaded, by the nodes that script created and by the scripts those nodes executed in turn
+export const downstreamRequests = (graph, edgeId) =>
+  requestTree(graph, edgeId).map(({ requestId }) => requestId);
+
+// Thrown by requestIdInfo for a request that loaded no script, the one failure callers skip
+export class NotAScriptError extends Error {
+  constructor(requestId) {
+    super(`Request ${requestId} did not load a script`);
+    this.name = 'NotAScriptError';
+    this.requestId = requestId;
+  }
+}
+
+// URL and source of the script loaded by the given request id, like
+// `pagegraph-cli request_id_info`. Throws a NotAScriptError if the request did not load a
+// script.
+export const requestIdInfo = (graph, requestId) => {
+  for (const edge of graph.requestEdges.get(String(requestId)) || []) {
+    const resource = graph.nodes.get(edge.target);
+    const scripts = edgesFrom(graph, edge.source, 'execute')
+      .map(({ target }) => graph.nodes.get(target))
+      .filter(node => node && node['node type'] === 'script');
+    if (!resource || scripts.length == 0) continue;
+    // Prefer the script whose (possibly relative) URL resolves to the requested resource
+    const script =
+      scripts.find(({ url }) => {
+        try {
+          return new URL(url, graph.url || undefined).href === resource.url;
+        } catch (err) {
+          return false;
+        }
+      }) || scripts[0];
+    return { url: resource.url, source: script.source || '' };
+  }
+  throw new NotAScriptError(requestId);
+};
+
+// Request id of the request that loaded the given script node, if a request did
+const loadingRequestId = (graph, scriptId) => {
+  for (const edge of edgesTo(graph, scriptId, 'execute')) {
+    const request = edgesFrom(graph, edge.source, 'request start')[0];
+    if (request) return request['request id'];
+  }
+  return null;
+};
+
+/**
+ * Scripts no request loaded, which can't be redirected: inline <script> blocks ('inline')
+ * and code another script evaluated with eval or new Function ('eval'). Each comes with
+ * the request ids of what it requested (as for downstreamRequests) and, for evaluated code,
+ * the node id of the script that evaluated it (parentScriptId) and the request id of that
+ * script (parentRequestId, null if it wasn't loaded by a request either).
+ */
+export const pageScripts = graph => {
+  const scripts = new Map();
+  graph.edges.forEach(edge => {
+    if (edge['edge type'] !== 'execute' || scripts.has(edge.target)) return;
+    const script = graph.nodes.get(edge.target);
+    const executor = graph.nodes.get(edge.source);
+    if (!script || !executor || script['node type'] !== 'script') return;
+    let kind = null;
+    if (executor['node type'] === 'script') {
+      kind = 'eval';
+    } else if (
+      executor['node type'] === 'HTML element' &&
+      /^inline/.test(script['script type'] || '')
+    ) {
+      kind = 'inline';
+    }
+    if (!kind) return;
+    scripts.set(script.id, {
+      id: script.id,
+      kind,
+      source: script.source || '',
+      requestIds: requestsFrom(graph, script.id),
+      parentScriptId: kind === 'eval' ? executor.id : null,
+      parentRequestId: kind === 'eval' ? loadingRequestId(graph, executor.id) : null,
+    });
+  });
+  return [...scripts.values()];
+};
+
+const linkTags = ['a', 'area'];
+
+// Absolute URLs of the pages the document links to (href of <a> and <area> elements) or
+// navigated to (documents of the graph with another URL), without their fragment. Links to
+// the document itself are left out.
+export const pageLinks = graph => {
+  const links = new Set();
+  const addLink = url => {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url, graph.url || undefined);
+    } catch (err) {
+      return;
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) return;
+    parsedUrl.hash = '';
+    links.add(parsedUrl.href);
+  };
+  graph.edges.forEach(edge => {
+    if (edge['edge type'] !== 'set attribute' || edge.key !== 'href') return;
+    const element = graph.nodes.get(edge.target);
+    if (element && linkTags.includes((element['tag name'] || '').toLowerCase())) {
+      addLink(edge.value);
+    }
+  });
+  graph.nodes.forEach(node => {
+    if (node['node type'] === 'DOM root' && node.url && node.url !== graph.url) addLink(node.url);
+  });
+  if (graph.url) links.delete(graph.url.split('#')[0]);
+  return [...links];
+};
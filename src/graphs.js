@@ -0,0 +1,247 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { getDomainOrHost, packageDir, readGraphFiles, readUrlFile } from './utils.js';
+import { readGraphml, pageLinks } from './graphml.js';
+import { runProcess, withRetries } from './process.js';
+
+// Time a crawl gets on top of its dwell time to start and stop the browser, unless a
+// timeout is set
+export const crawlTimeoutMarginSecs = 120;
+
+const crawlScript = path.join(packageDir, 'node_modules', 'pagegraph-crawl', 'built', 'run.js');
+
+// Each crawled URL gets its own subdirectory in graphsDir
+const graphsDirForUrl = (graphsDir, url, index) => {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (err) {
+    host = 'invalid-url';
+  }
+  return path.join(graphsDir, `${index}-${host.replace(/[^a-zA-Z0-9.-]/g, '_')}`);
+};
+
+// Gather URLs from urls and urlFile, and pair each with the graphs directory it uses
+export const getCrawls = async ctx => {
+  const { urls: givenUrls, urlFile, graphsDir, graphsDirOverrides } = ctx;
+  const urls = [...givenUrls, ...(urlFile ? await readUrlFile(urlFile) : [])];
+  if (urls.length == 0) {
+    const errorMsg = 'Must provide url (via --url or --url-file)';
+    throw new Error(errorMsg);
+  }
+  if (graphsDirOverrides && graphsDirOverrides.length != urls.length) {
+    const errorMsg =
+      `Got ${graphsDirOverrides.length} graphs directories for ${urls.length} URLs,` +
+      ' must provide one graphs directory per URL';
+    throw new Error(errorMsg);
+  }
+  return urls.map((url, index) => ({
+    url,
+    graphsDir: graphsDirOverrides
+      ? graphsDirOverrides[index]
+      : graphsDirForUrl(graphsDir, url, index),
+    readLocal: !!graphsDirOverrides,
+  }));
+};
+
+/**
+ * Record the graphs of crawlUrl to graphsDir with pagegraph-crawl, or read them from there
+ * if readLocal is set. A crawl that fails or records no graph is attempted again, up to
+ * retries crawls in all, waiting longer before each (see withRetries). Resolves to the
+ * graph files.
+ */
+export const generateGraphs = async (ctx, crawlUrl, graphsDir, readLocal, retries) => {
+  const { binary, secs, timeout, retryBackoff, logger, log } = ctx;
+  if (readLocal || retries == 0) {
+    // Graph files should exist at this point. If not, then error.
+    const graphFiles = await readGraphFiles(graphsDir);
+    if (graphFiles.length == 0) {
+      const errorMsg = `No files found in ${graphsDir} that end with .graphml, exiting`;
+      throw new Error(errorMsg);
+    }
+    logger.debug(graphFiles);
+    logger.debug('Pagegraph-crawl done!');
+    return graphFiles;
+  }
+
+  if (!binary) {
+    const errorMsg =
+      'Must provide path to PageGraph-enabled browser binary (via --binary)' +
+      ' in order to record graphs';
+    throw new Error(errorMsg);
+  }
+  await fs.mkdir(graphsDir, { recursive: true });
+  const args = [
+    crawlScript,
+    '--binary',
+    binary,
+    '--secs',
+    String(secs),
+    '--interactive',
+    '--shields',
+    'down',
+    '--url',
+    crawlUrl,
+    '--output',
+    graphsDir,
+  ];
+  const crawlTimeout = (timeout || secs + crawlTimeoutMarginSecs) * 1000;
+  return withRetries(
+    async () => {
+      await runProcess(ctx, process.execPath, args, { timeout: crawlTimeout });
+      // Graph files should exist at this point. If not, then retry.
+      const graphFiles = await readGraphFiles(graphsDir);
+      if (graphFiles.length == 0) {
+        throw new Error(`No files found in ${graphsDir} that end with .graphml`);
+      }
+      logger.debug(graphFiles);
+      logger.debug('Pagegraph-crawl done!');
+      return graphFiles;
+    },
+    {
+      retries,
+      backoffSecs: retryBackoff,
+      onRetry: (err, attempt) =>
+        log(`Crawl ${attempt} of ${retries} of ${crawlUrl} failed, retrying: ${err.message}`),
+    }
+  );
+};
+
+const withoutHash = url => {
+  const parsedUrl = new URL(url);
+  parsedUrl.hash = '';
+  return parsedUrl.href;
+};
+
+// Pages of the same site (registrable domain) linked from the root frame graphs of a page
+export const findSameSiteLinks = async (pageUrl, graphsDir, graphFiles) => {
+  const site = await getDomainOrHost(pageUrl, false);
+  const links = new Set();
+  for (const graphFile of graphFiles) {
+    const graph = await readGraphml(path.join(graphsDir, graphFile));
+    if (!graph.isRoot) continue;
+    for (const link of pageLinks(graph)) {
+      if ((await getDomainOrHost(link, false)) === site) links.add(link);
+    }
+  }
+  links.delete(withoutHash(pageUrl));
+  return [...links];
+};
+
+// Breadth-first crawl of the same-site pages linked from a crawled URL, up to crawlDepth
+// links away and maxPages pages in all. The pages of each depth are crawled at the same
+// time, as many at once as the concurrency of the context allows (see runProcess). The
+// graphs of the nth page go to pages/<n> in the crawl's graphs directory, and are added to
+// its graph files.
+const crawlLinkedPages = async (ctx, crawl) => {
+  const { crawlDepth, maxPages, retries, log, logger } = ctx;
+  crawl.pages = [{ url: crawl.url, depth: 0, graphFiles: crawl.graphFiles }];
+  const seen = new Set([withoutHash(crawl.url)]);
+  let level = [crawl.pages[0]];
+  for (let depth = 1; depth <= crawlDepth && level.length > 0; depth++) {
+    // Pages are numbered in the order their links are found, whichever crawl ends first
+    const linked = [];
+    for (const page of level) {
+      if (!page.graphFiles || crawl.pages.length >= maxPages) continue;
+      const links = await findSameSiteLinks(page.url, crawl.graphsDir, page.graphFiles);
+      for (const link of links) {
+        if (seen.has(link) || crawl.pages.length >= maxPages) continue;
+        seen.add(link);
+        const pageDir = path.join('pages', String(crawl.pages.length));
+        const linkedPage = { url: link, depth, graphFiles: null };
+        crawl.pages.push(linkedPage);
+        linked.push({ page: linkedPage, pageDir, linkedFrom: page.url });
+      }
+    }
+    await Promise.all(
+      linked.map(async ({ page, pageDir, linkedFrom }) => {
+        log(`Generating graphs for ${page.url} (linked from ${linkedFrom})...`);
+        const start = Date.now();
+        const event = { type: 'crawl', name: page.url, linkedFrom, depth };
+        try {
+          const graphFiles = await generateGraphs(
+            ctx,
+            page.url,
+            path.join(crawl.graphsDir, pageDir),
+            false,
+            retries
+          );
+          page.graphFiles = graphFiles.map(graphFile => path.join(pageDir, graphFile));
+          logger.event({
+            ...event,
+            status: 'finished',
+            durationMs: Date.now() - start,
+            counts: { graphs: graphFiles.length },
+          });
+        } catch (err) {
+          page.error = err;
+          log(`Failed to generate graphs for ${page.url}: ${err.message}`);
+          logger.event({ ...event, status: 'failed', durationMs: Date.now() - start, error: err });
+        }
+      })
+    );
+    level = linked.map(({ page }) => page);
+  }
+  crawl.graphFiles = crawl.pages.flatMap(page => page.graphFiles || []);
+};
+
+// Each URL is crawled with its own retry budget, a failing URL doesn't abort the others.
+// URLs are crawled at the same time, as many at once as the concurrency of the context
+// allows (see runProcess).
+export const generateAllGraphs = async (ctx, crawls) => {
+  const { log, logger } = ctx;
+  await Promise.all(
+    crawls.map(async crawl => {
+      log(`Generating graphs for ${crawl.url}...`);
+      const start = Date.now();
+      logger.event({ type: 'crawl', name: crawl.url, status: 'started' });
+      try {
+        crawl.graphFiles = await generateGraphs(
+          ctx,
+          crawl.url,
+          crawl.graphsDir,
+          crawl.readLocal,
+          ctx.retries
+        );
+      } catch (err) {
+        crawl.error = err;
+        log(`Failed to generate graphs for ${crawl.url}: ${err.message}`);
+        logger.event({
+          type: 'crawl',
+          name: crawl.url,
+          status: 'failed',
+          durationMs: Date.now() - start,
+          error: err,
+        });
+        return;
+      }
+      // Recorded graphs can't be extended with more pages
+      if (ctx.crawlDepth > 0 && !crawl.readLocal) {
+        await crawlLinkedPages(ctx, crawl);
+      }
+      logger.event({
+        type: 'crawl',
+        name: crawl.url,
+        status: 'finished',
+        durationMs: Date.now() - start,
+        counts: { graphs: crawl.graphFiles.length, pages: (crawl.pages || [crawl]).length },
+      });
+    })
+  );
+  return crawls;
+};
+
+// Every graph file of the crawls, with the URL of the page it was recorded on
+export const crawlGraphFiles = crawls =>
+  crawls.flatMap(({ url, graphsDir, graphFiles, pages }) => {
+    const graphFileToPageUrl = new Map();
+    (pages || []).forEach(page =>
+      (page.graphFiles || []).forEach(graphFile => graphFileToPageUrl.set(graphFile, page.url))
+    );
+    return graphFiles.map(graphFile => ({
+      url,
+      pageUrl: graphFileToPageUrl.get(graphFile) || url,
+      graphsDir,
+      graphFile,
+    }));
+  });
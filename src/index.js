@@ -0,0 +1,143 @@
+export { runPipeline, runCommand, commands } from './pipeline.js';
+export {
+  createContext,
+  defaultCrawlSecs,
+  defaultPolicyJson,
+  defaultOutputDir,
+  defaultRetries,
+  defaultMaxPages,
+} from './context.js';
+export {
+  preCheckAndClean,
+  checkInputs,
+  cleanStageOutputs,
+  cleanIntermediaryFiles,
+} from './clean.js';
+export { stageNames, readState } from './state.js';
+export { logLevels, logFormats, eventStatuses, createLogger, writeFailureLog } from './logger.js';
+export {
+  defaultConfigFile,
+  envPrefix,
+  settingsSchema,
+  envName,
+  readEnvSettings,
+  readConfigFile,
+  validateSettings,
+  loadSettings,
+} from './config.js';
+export {
+  getCrawls,
+  generateGraphs,
+  generateAllGraphs,
+  findSameSiteLinks,
+  crawlGraphFiles,
+  crawlTimeoutMarginSecs,
+} from './graphs.js';
+export {
+  defaultConcurrency,
+  defaultBackoffSecs,
+  ProcessError,
+  formatCommand,
+  createLimiter,
+  runProcess,
+  withRetries,
+} from './process.js';
+export { getSources, frameDomainModes, ruleDomainsForFrame } from './sources.js';
+export { massageConfig, runSugarCoat } from './sugarcoat.js';
+export { tweakRules, postProcessing, minifyScripts } from './postprocess.js';
+export { getDomainOrHost, getHash, getHashOfFile } from './utils.js';
+export { normalizeUrl, isVersionSegment, wildcardVersions } from './urls.js';
+export {
+  resolvePolicy,
+  policyPresets,
+  presetNames,
+  presetApis,
+  readPolicyConfig,
+} from './policy.js';
+export {
+  selectStrategies,
+  defaultSelect,
+  createSelector,
+  loadSelector,
+  readAllowlist,
+} from './select.js';
+export {
+  formats,
+  writeFormats,
+  readScriptletResources,
+  toBraveResources,
+  toUboResources,
+  toDnrRules,
+} from './formats.js';
+export { collectManifestEntries, writeManifest, sourceMapFile } from './manifest.js';
+export {
+  treeScriptModes,
+  buildScriptTree,
+  selectTreeScripts,
+  annotateScriptTrees,
+  formatScriptTreeDot,
+  writeScriptTrees,
+} from './tree.js';
+export { explainGraph, explainSources, formatExplanation } from './explain.js';
+export { parseRule, mergeRules, diffRules, formatDiff, mergeIntoList } from './merge.js';
+export { checkRules, findStaleRules, formatStaleRules } from './check.js';
+export { verifyScripts, parseScript, runInSandbox, VerificationError } from './verify.js';
+export { tokenize, diffTokens, formatDiffReport, writeDiffReports } from './report.js';
+export {
+  defaultListTitle,
+  defaultListExpires,
+  defaultListHomepage,
+  defaultListLicense,
+  listChecksum,
+  formatPublishedList,
+  publishList,
+  writeResourcesIndex,
+} from './publish.js';
+export {
+  builtinRecipesDir,
+  sugarcoatMocks,
+  validateRecipe,
+  loadRecipes,
+  loadAllRecipes,
+  checkPolicyRecipes,
+  listRecipes,
+  formatRecipes,
+  scaffoldRecipe,
+  newRecipe,
+} from './recipes.js';
+export {
+  defaultPort,
+  defaultHost,
+  defaultWorkers,
+  defaultMaxUploadMb,
+  jobOptions,
+  validateJobRequest,
+  createJobService,
+  serveJobs,
+} from './serve.js';
+export {
+  backends,
+  defaultQueryTimeoutSecs,
+  openGraph,
+  queryFailed,
+  requestScript,
+} from './pagegraph.js';
+export {
+  readGraphml,
+  parseGraphml,
+  parseGraphmlDesc,
+  pageLinks,
+  pageScripts,
+  requestTree,
+  NotAScriptError,
+} from './graphml.js';
+export {
+  pageScriptKinds,
+  pageScriptUrl,
+  sourceFingerprint,
+  formatScriptlet,
+  formatScriptletRule,
+  parseScriptletRule,
+  writeScriptlets,
+  isFunctionSource,
+} from './scriptlets.js';
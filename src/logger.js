@@ -0,0 +1,117 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+
+export const logLevels = ['error', 'warn', 'info', 'debug'];
+export const logFormats = ['text', 'json'];
+// Event statuses, failed events are also written to the failure log
+export const eventStatuses = ['started', 'finished', 'skipped', 'failed'];
+
+// Objects are printed as JSON rather than [object Object]
+const formatValue = value =>
+  typeof value === 'string'
+    ? value
+    : value instanceof Error
+    ? value.message
+    : JSON.stringify(value, null, 0);
+
+// Without a log function, errors, warnings and debugging information go to the console and
+// progress messages nowhere, as library users expect
+const consoleOutput = (level, line) => {
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else if (level === 'debug') console.debug(line);
+};
+
+// One line of text for an event, e.g. "Stage patch finished in 1234ms (scripts: 3)"
+const describeEvent = ({ type, name, status, durationMs, counts, error }) => {
+  const subject = `${type[0].toUpperCase()}${type.slice(1)}${name ? ` ${name}` : ''}`;
+  const duration = durationMs !== undefined ? ` in ${durationMs}ms` : '';
+  const details = counts
+    ? ` (${Object.entries(counts)
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(', ')})`
+    : '';
+  return `${subject} ${status}${duration}${details}${error ? `: ${error}` : ''}`;
+};
+
+/**
+ * Logger of a run. Messages below level are dropped. In the text format, messages are
+ * passed to log as they are and events as a line of text at debug level (warn for failures);
+ * in the json format, messages and events are passed to log as one JSON object per line,
+ * events at info level (warn for failures).
+ *
+ * event({ type, name, status, durationMs, counts, error, ...fields }) reports the progress of
+ * a stage, crawl or script, status being one of eventStatuses. Failed events are kept in
+ * failures, to be written by writeFailureLog. summary(fields) reports the end of a run, at
+ * info level in both formats.
+ */
+export const createLogger = ({ level = 'info', format = 'text', log = null } = {}) => {
+  if (!logLevels.includes(level)) {
+    throw new Error(`Unknown log level ${level}, must be one of ${logLevels}`);
+  }
+  if (!logFormats.includes(format)) {
+    throw new Error(`Unknown log format ${format}, must be one of ${logFormats}`);
+  }
+  const failures = [];
+  const enabled = messageLevel => logLevels.indexOf(messageLevel) <= logLevels.indexOf(level);
+  const output = (messageLevel, line) =>
+    log ? log(line, messageLevel) : consoleOutput(messageLevel, line);
+  const message = messageLevel => (...parts) => {
+    if (!enabled(messageLevel)) return;
+    const text = parts.map(formatValue).join(' ');
+    output(
+      messageLevel,
+      format === 'json'
+        ? JSON.stringify({ time: new Date().toISOString(), level: messageLevel, message: text })
+        : text
+    );
+  };
+  const event = (fields, level) => {
+    const record = { time: new Date().toISOString(), ...fields };
+    if (record.error instanceof Error) {
+      // Failed processes also give their command and exit code, see ProcessError
+      const { message, command, exitCode } = record.error;
+      Object.assign(record, { error: message }, command ? { command, exitCode } : {});
+    }
+    if (record.status === 'failed') failures.push(record);
+    // Progress messages already tell what happens in the text format, events add details
+    const eventLevel =
+      record.status === 'failed' ? 'warn' : level || (format === 'json' ? 'info' : 'debug');
+    if (!enabled(eventLevel)) return;
+    output(
+      eventLevel,
+      format === 'json' ? JSON.stringify({ level: eventLevel, ...record }) : describeEvent(record)
+    );
+  };
+  return {
+    level,
+    format,
+    failures,
+    error: message('error'),
+    warn: message('warn'),
+    info: message('info'),
+    debug: message('debug'),
+    event: fields => event(fields),
+    // The summary of a run is shown whatever the format
+    summary: fields => event({ type: 'summary', ...fields }, 'info'),
+  };
+};
+
+/**
+ * Write the failed events of the run to failureLogFile, one JSON object per line, or remove
+ * a failure log of a previous run if nothing failed. Runs after cleanup, so that failures
+ * are kept even when the output of a failed run is erased.
+ */
+export const writeFailureLog = async ctx => {
+  const { logger, failureLogFile } = ctx;
+  if (logger.failures.length == 0) {
+    await fs.rm(failureLogFile, { force: true });
+    return null;
+  }
+  await fs.mkdir(path.dirname(failureLogFile), { recursive: true });
+  await fs.writeFile(
+    failureLogFile,
+    logger.failures.map(failure => JSON.stringify(failure)).join('\n') + '\n'
+  );
+  return failureLogFile;
+};
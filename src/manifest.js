@@ -0,0 +1,126 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { getHashOfFile } from './utils.js';
+
+const apiPattern = /^[A-Za-z]\w*#[\w$]+$/;
+
+// Policy API names (e.g. Window#localStorage) found as keys or values anywhere in value
+const collectApiNames = (value, policyApis, names = new Set()) => {
+  if (typeof value === 'string') {
+    if (policyApis.includes(value) || apiPattern.test(value)) {
+      names.add(value);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectApiNames(item, policyApis, names));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      collectApiNames(key, policyApis, names);
+      collectApiNames(item, policyApis, names);
+    });
+  }
+  return names;
+};
+
+// Parts of the sugarcoat trace that are about a script: entries keyed by its target name
+// or URL, and objects that have its URL as one of their values
+const findTraceRecords = (trace, targetKey, scriptUrl, records = []) => {
+  if (Array.isArray(trace)) {
+    trace.forEach(item => findTraceRecords(item, targetKey, scriptUrl, records));
+  } else if (trace && typeof trace === 'object') {
+    if (Object.values(trace).includes(scriptUrl)) {
+      records.push(trace);
+      return records;
+    }
+    Object.entries(trace).forEach(([key, item]) => {
+      if (key === targetKey || key === scriptUrl) {
+        records.push(item);
+      } else {
+        findTraceRecords(item, targetKey, scriptUrl, records);
+      }
+    });
+  }
+  return records;
+};
+
+const readJson = async file => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'UTF-8'));
+  } catch (err) {
+    return null;
+  }
+};
+
+const getSize = async file => (await fs.stat(file)).size;
+
+// Gather what reviewers need to approve each rule. This has to run before the scripts,
+// config.json and trace are cleaned up; minified sizes are added by writeManifest.
+export const collectManifestEntries = async (ctx, movedScripts) => {
+  const { scriptsDir, scriptNameToUrl, scriptUrlToMatches, scriptUrlAliases, pageScripts } = ctx;
+  const { massagedConfigJsonFile } = ctx;
+  const config = (await readJson(massagedConfigJsonFile)) || { targets: {} };
+  const trace = await readJson(ctx.traceFile);
+  return Promise.all(
+    movedScripts.map(async ({ from, to, resourceName }) => {
+      // sugarcoat writes the patched version of scripts/<name>.js to scripts/sugarcoat-<name>.js
+      const targetKey = path.basename(from, '.js').replace(/^sugarcoat-/, '');
+      const originalUrl = scriptNameToUrl[targetKey];
+      const originalScript = path.join(scriptsDir, `${targetKey}.js`);
+      const target = config.targets[targetKey] || {};
+      const policyApis = (target.policy && target.policy.include) || [];
+      const traceRecords = trace ? findTraceRecords(trace, targetKey, originalUrl) : [];
+      const pageScript = pageScripts[targetKey];
+      return {
+        name: targetKey,
+        // Page scripts are injected by scriptlet rules, other scripts redirected
+        kind: pageScript ? pageScript.kind : 'external',
+        injection: pageScript ? 'scriptlet' : 'redirect',
+        originalUrl,
+        matches: scriptUrlToMatches[originalUrl] || [],
+        aliases: scriptUrlAliases[originalUrl] || [],
+        resource: resourceName,
+        sugarcoatedScript: to,
+        originalSha1: await getHashOfFile(originalScript),
+        patchedSha1: await getHashOfFile(to),
+        sizes: {
+          original: await getSize(originalScript),
+          patched: await getSize(to),
+          minified: null,
+        },
+        policyApis,
+        observedApis: [...collectApiNames(traceRecords, policyApis)].sort(),
+      };
+    })
+  );
+};
+
+// Path of the source map minifyScripts writes for a sugarcoated script
+export const sourceMapFile = (ctx, sugarcoatedScript) =>
+  path.join(ctx.sourceMapsDir, `${path.basename(sugarcoatedScript)}.map`);
+
+// minifiedScripts lists the paths of the scripts minifyScripts went through, if it ran.
+// Inline and evaluated scripts are listed apart from redirected ones, under pageScripts.
+export const writeManifest = async (ctx, entries, minifiedScripts = []) => {
+  const { manifestFile, logger } = ctx;
+  const allScripts = await Promise.all(
+    entries.map(async entry => ({
+      ...entry,
+      sizes: {
+        ...entry.sizes,
+        minified: minifiedScripts.includes(entry.sugarcoatedScript)
+          ? await getSize(entry.sugarcoatedScript)
+          : null,
+      },
+      sourceMap: minifiedScripts.includes(entry.sugarcoatedScript)
+        ? sourceMapFile(ctx, entry.sugarcoatedScript)
+        : null,
+    }))
+  );
+  const manifest = {
+    generated: new Date().toISOString(),
+    scripts: allScripts.filter(({ injection }) => injection !== 'scriptlet'),
+    pageScripts: allScripts.filter(({ injection }) => injection === 'scriptlet'),
+  };
+  logger.debug(`Writing manifest for ${allScripts.length} scripts...`);
+  await fs.writeFile(manifestFile, JSON.stringify(manifest, null, 2));
+  return manifest;
+};
@@ -0,0 +1,204 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import os from 'os';
+import { getHashOfFile } from './utils.js';
+import { parseScriptletRule, formatScriptletRule } from './scriptlets.js';
+
+const resourcePrefix = 'sugarcoat-';
+
+// Split a sugarcoat rule into its URL pattern, its other options, its page domains and the
+// resource it redirects to. Comments and rules without redirect= give null.
+export const parseRule = line => {
+  if (!line || line.startsWith('!')) return null;
+  const separator = line.indexOf('$');
+  if (separator == -1) return null;
+  const urlPattern = line.slice(0, separator);
+  let pageDomains = [];
+  let resourceName = null;
+  const options = [];
+  line
+    .slice(separator + 1)
+    .split(',')
+    .forEach(option => {
+      if (option.startsWith('domain=')) {
+        pageDomains = option
+          .slice('domain='.length)
+          .split('|')
+          .filter(domain => domain);
+      } else if (option.startsWith('redirect=')) {
+        resourceName = option.slice('redirect='.length);
+      } else {
+        options.push(option);
+      }
+    });
+  if (!resourceName) return null;
+  return { urlPattern, options: options.join(','), pageDomains, resourceName };
+};
+
+const formatRule = ({ urlPattern, options, pageDomains, resourceName }) => {
+  const domainOption = pageDomains.length > 0 ? `domain=${pageDomains.join('|')},` : '';
+  const prefix = options ? `${options},` : '';
+  return `${urlPattern}$${prefix}${domainOption}redirect=${resourceName}`;
+};
+
+// Rules keyed by script URL pattern and page domain ('' for rules without domain=)
+const explodeRules = rules =>
+  rules.flatMap(rule =>
+    (rule.pageDomains.length > 0 ? rule.pageDomains : ['']).map(pageDomain => ({
+      key: `${rule.urlPattern} ${pageDomain}`,
+      pageDomain,
+      rule,
+    }))
+  );
+
+// Header lines of a published list that no longer hold once its rules change, written again
+// by publishList
+const staleHeaderLine = /^!\s*(Checksum|Version|Last modified)\s*:/i;
+
+/**
+ * Merge two rule lists: comments and foreign lines of both are kept, except the checksum,
+ * version and last modified lines of a published list, and a new rule replaces
+ * the existing rules for the same script URL and page domain. Rules sending a script to the
+ * same resource with the same options are grouped again, with one domain= option.
+ */
+export const mergeRules = (existingLines, newLines) => {
+  const comments = [];
+  const others = [];
+  const rules = [];
+  [...existingLines, ...newLines].forEach(line => {
+    const rule = parseRule(line);
+    if (rule) {
+      rules.push(rule);
+    } else if (line.startsWith('!')) {
+      if (!staleHeaderLine.test(line) && !comments.includes(line)) comments.push(line);
+    } else if (line && !others.includes(line)) {
+      others.push(line);
+    }
+  });
+  // Later rules (the new ones) win
+  const byKey = new Map();
+  explodeRules(rules).forEach(entry => {
+    byKey.delete(entry.key);
+    byKey.set(entry.key, entry);
+  });
+  const grouped = new Map();
+  byKey.forEach(({ pageDomain, rule }) => {
+    const groupKey = `${rule.urlPattern}$${rule.options}$${rule.resourceName}`;
+    if (!grouped.has(groupKey)) grouped.set(groupKey, { ...rule, pageDomains: [] });
+    if (pageDomain) grouped.get(groupKey).pageDomains.push(pageDomain);
+  });
+  return [...comments, ...others, ...[...grouped.values()].map(formatRule)];
+};
+
+// Added, removed and changed (same script URL, different rule) rules between two lists
+export const diffRules = (oldLines, newLines) => {
+  const oldRules = oldLines.filter(parseRule);
+  const newRules = newLines.filter(parseRule);
+  const removed = oldRules.filter(line => !newRules.includes(line));
+  const added = newRules.filter(line => !oldRules.includes(line));
+  const urlPattern = line => parseRule(line).urlPattern;
+  const changed = added
+    .filter(line => removed.some(old => urlPattern(old) === urlPattern(line)))
+    .map(line => ({
+      from: removed.filter(old => urlPattern(old) === urlPattern(line)),
+      to: line,
+    }));
+  const changedFrom = changed.flatMap(({ from }) => from);
+  return {
+    added: added.filter(line => !changed.some(({ to }) => to === line)),
+    changed,
+    removed: removed.filter(line => !changedFrom.includes(line)),
+  };
+};
+
+export const formatDiff = ({ added, changed, removed }) => {
+  if (added.length + changed.length + removed.length == 0) return 'No rule changes';
+  return [
+    ...added.map(line => `+ ${line}`),
+    ...changed.flatMap(({ from, to }) => [...from.map(line => `~ ${line}`), `  -> ${to}`]),
+    ...removed.map(line => `- ${line}`),
+  ].join(os.EOL);
+};
+
+const readLines = async file => {
+  try {
+    return (await fs.readFile(file, 'UTF-8')).split(/\r?\n/).filter(line => line.trim());
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+};
+
+// Resource name of each file of a resources directory, with or without .js extension
+const readResourceFiles = async dir => {
+  const files = (await fs.readdir(dir)).filter(file => file.startsWith(resourcePrefix));
+  return files.map(file => ({ file, name: path.basename(file, '.js') }));
+};
+
+/**
+ * Merge the rules and generated scripts of this run into a published list (mergeInto) and
+ * its resources directory (resourcesDir). A new script identical to a published one reuses
+ * the published one, and published scripts no rule redirects to anymore are deleted.
+ * Resolves to { rules, diff, addedResources, removedResources }.
+ */
+export const mergeIntoList = async ctx => {
+  const { logger, log, rulesFile, sugarcoatedScriptsDir, mergeInto, resourcesDir } = ctx;
+  await fs.mkdir(resourcesDir, { recursive: true });
+  const published = await readResourceFiles(resourcesDir);
+  const publishedByHash = new Map();
+  await Promise.all(
+    published.map(async ({ file, name }) =>
+      publishedByHash.set(await getHashOfFile(path.join(resourcesDir, file)), name)
+    )
+  );
+  // Copy the new scripts, unless the same content is already published
+  const renamed = {};
+  const addedResources = [];
+  await Promise.all(
+    (await readResourceFiles(sugarcoatedScriptsDir)).map(async ({ file, name }) => {
+      const hash = await getHashOfFile(path.join(sugarcoatedScriptsDir, file));
+      if (publishedByHash.has(hash)) {
+        renamed[name] = publishedByHash.get(hash);
+        return;
+      }
+      await fs.copyFile(path.join(sugarcoatedScriptsDir, file), path.join(resourcesDir, file));
+      addedResources.push(name);
+    })
+  );
+  const newLines = (await readLines(rulesFile)).map(line => {
+    const rule = parseRule(line);
+    if (rule && rule.resourceName in renamed) {
+      return formatRule({ ...rule, resourceName: renamed[rule.resourceName] });
+    }
+    const scriptlet = parseScriptletRule(line);
+    return scriptlet && scriptlet.resourceName in renamed
+      ? formatScriptletRule({ ...scriptlet, resourceName: renamed[scriptlet.resourceName] })
+      : line;
+  });
+  const existingLines = await readLines(mergeInto);
+  const rules = mergeRules(existingLines, newLines);
+  await fs.writeFile(mergeInto, rules.join(os.EOL) + os.EOL);
+  // Drop the published scripts that no rule (redirect or scriptlet) uses anymore
+  const usedResources = new Set(
+    rules
+      .map(line => parseRule(line) || parseScriptletRule(line))
+      .filter(rule => rule)
+      .map(rule => rule.resourceName)
+  );
+  const unused = (await readResourceFiles(resourcesDir)).filter(
+    ({ name }) => !usedResources.has(name)
+  );
+  await Promise.all(unused.map(({ file }) => fs.unlink(path.join(resourcesDir, file))));
+  const diff = diffRules(existingLines, rules);
+  logger.debug(`Reused published scripts: ${JSON.stringify(renamed)}`);
+  log(`Merged rules into ${mergeInto}:${os.EOL}${formatDiff(diff)}`);
+  return {
+    rules,
+    diff,
+    addedResources: addedResources.filter(name => usedResources.has(name)).sort(),
+    removedResources: unused
+      .map(({ name }) => name)
+      .filter(name => !addedResources.includes(name))
+      .sort(),
+  };
+};
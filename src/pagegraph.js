@@ -0,0 +1,133 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { packageDir } from './utils.js';
+import { runProcess, ProcessError } from './process.js';
+import {
+  readGraphml,
+  parseGraphmlDesc,
+  adblockRules,
+  downstreamRequests,
+  requestIdInfo,
+  NotAScriptError,
+  requestTree,
+  pageScripts,
+} from './graphml.js';
+
+export const backends = ['js', 'cli'];
+
+// Time a pagegraph-cli query gets, unless a timeout is set
+export const defaultQueryTimeoutSecs = 120;
+
+// Answers adblock_rules, downstream_requests and request_id_info queries by spawning
+// pagegraph-cli for each of them, as many at once as the concurrency of the context allows.
+// The frame is read from the graph header, and what pagegraph-cli has no query for (request
+// trees, inline and evaluated scripts) from the graph itself, read once: script selection
+// still needs the in-process reader, whose trees hold the same requests as
+// downstream_requests (see the backend tests).
+const openCliGraph = (ctx, graphFile) => {
+  let graph = null;
+  const readGraph = () => graph || (graph = readGraphml(graphFile));
+  const pagegraphBinary = path.join(
+    packageDir,
+    process.platform === 'win32' ? 'pagegraph-cli.exe' : 'pagegraph-cli'
+  );
+  const pagegraphBinaryArgs = ['-f', graphFile];
+  const timeout = (ctx.timeout || defaultQueryTimeoutSecs) * 1000;
+  const run = async args => {
+    const { stdout } = await runProcess(ctx, pagegraphBinary, [...pagegraphBinaryArgs, ...args], {
+      timeout,
+    });
+    return JSON.parse(stdout);
+  };
+  return {
+    adblockRules: async filterlist => run(['adblock_rules', '-l', filterlist]),
+    downstreamRequests: async edge => run(['downstream_requests', edge, '--requests']),
+    // pagegraph-cli exits with an error for a request that loaded no script, while timed out,
+    // killed and unstarted processes are failures of the query
+    requestIdInfo: async requestId =>
+      run(['request_id_info', requestId]).catch(err => {
+        if (err instanceof ProcessError && err.exitCode !== null && !err.timedOut) {
+          throw new NotAScriptError(requestId);
+        }
+        throw err;
+      }),
+    requestTree: async edge => requestTree(await readGraph(), edge),
+    frame: async () => parseGraphmlDesc(await fs.readFile(graphFile, 'UTF-8')),
+    pageScripts: async () => pageScripts(await readGraph()),
+  };
+};
+
+// Filter lists are only parsed once per run, whatever the number of graphs
+const getAdblockEngine = async (ctx, filterlist) => {
+  if (!ctx.adblockEngines.has(filterlist)) {
+    ctx.adblockEngines.set(
+      filterlist,
+      (async () => {
+        const { default: adblock } = await import('adblock-rs');
+        const rules = (await fs.readFile(filterlist, 'UTF-8')).split(/\r?\n/);
+        const filterSet = new adblock.FilterSet(true);
+        filterSet.addFilters(rules);
+        return new adblock.Engine(filterSet, true);
+      })()
+    );
+  }
+  return ctx.adblockEngines.get(filterlist);
+};
+
+// Loads the graph once and answers the same queries in memory
+const openJsGraph = async (ctx, graphFile) => {
+  const graph = await readGraphml(graphFile);
+  return {
+    adblockRules: async filterlist => adblockRules(graph, await getAdblockEngine(ctx, filterlist)),
+    downstreamRequests: async edge => downstreamRequests(graph, edge),
+    requestIdInfo: async requestId => requestIdInfo(graph, requestId),
+    requestTree: async edge => requestTree(graph, edge),
+    frame: async () => ({ url: graph.url, isRoot: graph.isRoot, frameId: graph.frameId }),
+    pageScripts: async () => pageScripts(graph),
+  };
+};
+
+/**
+ * Report a failed graph query as a failed 'query' event, e.g. a pagegraph-cli process that
+ * timed out, for the queries whose failure only leaves a graph, filter list or request out.
+ */
+export const queryFailed = (logger, graphFile, query, err) =>
+  logger.event({
+    type: 'query',
+    name: `${query} ${path.basename(graphFile)}`,
+    status: 'failed',
+    error: err,
+  });
+
+/**
+ * The URL and source of the script a request loaded (see requestIdInfo), null if it loaded
+ * none. Other failures are reported with queryFailed and also give null.
+ */
+export const requestScript = async (logger, graph, graphFile, requestId) => {
+  try {
+    return await graph.requestIdInfo(requestId);
+  } catch (err) {
+    if (!(err instanceof NotAScriptError)) {
+      queryFailed(logger, graphFile, `request_id_info ${requestId}`, err);
+    }
+    return null;
+  }
+};
+
+// Fail early, rather than once per graph, if the backend can't be used
+export const prepareBackend = async ctx => {
+  if (ctx.backend === 'js') {
+    await Promise.all(ctx.filterlists.map(filterlist => getAdblockEngine(ctx, filterlist)));
+  }
+};
+
+export const openGraph = async (ctx, graphFile) => {
+  switch (ctx.backend) {
+    case 'cli':
+      return openCliGraph(ctx, graphFile);
+    case 'js':
+      return openJsGraph(ctx, graphFile);
+    default:
+      throw new Error(`Unknown graph backend ${ctx.backend}, must be one of ${backends}`);
+  }
+};
@@ -0,0 +1,389 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { createContext } from './context.js';
+import { checkInputs, cleanStageOutputs, cleanIntermediaryFiles } from './clean.js';
+import { getCrawls, generateAllGraphs } from './graphs.js';
+import { getSources } from './sources.js';
+import { massageConfig, runSugarCoat } from './sugarcoat.js';
+import { postProcessing, minifyScripts } from './postprocess.js';
+import { writeFormats } from './formats.js';
+import { writeManifest } from './manifest.js';
+import { writeScriptTrees } from './tree.js';
+import { verifyScripts, VerificationError } from './verify.js';
+import { explainSources } from './explain.js';
+import { mergeIntoList } from './merge.js';
+import { checkRules } from './check.js';
+import { listRecipes, newRecipe } from './recipes.js';
+import { publishList, writeResourcesIndex } from './publish.js';
+import { writeDiffReports } from './report.js';
+import { serveJobs } from './serve.js';
+import { writeFailureLog } from './logger.js';
+import {
+  stageNames,
+  readState,
+  checkStageReady,
+  startStage,
+  finishStage,
+  serializeCrawls,
+  serializeScripts,
+  restoreScripts,
+} from './state.js';
+
+// A subcommand runs one stage, 'all' runs every stage, 'check' looks for stale rules and
+// 'recipes' lists or scaffolds recipes
+export const commands = [...stageNames, 'all', 'check', 'recipes', 'serve'];
+
+// Run a step of a stage and record how long it took in stages
+const timeStage = async (ctx, stages, name, fn) => {
+  const start = Date.now();
+  const output = await fn();
+  const durationMs = Date.now() - start;
+  stages.push({ name, durationMs });
+  ctx.logger.event({ type: 'step', name, status: 'finished', durationMs });
+  return output;
+};
+
+const countRules = rules => rules.filter(rule => rule.trim() && !rule.startsWith('!')).length;
+
+// Counts reported when a stage finishes, from its results
+const stageCounts = {
+  crawl: ({ crawls }) => ({
+    crawls: crawls.length,
+    failedCrawls: crawls.filter(crawl => crawl.error).length,
+    graphs: crawls.reduce((count, crawl) => count + (crawl.graphFiles || []).length, 0),
+  }),
+  extract: ({ scripts }) => ({ scripts: Object.keys(scripts).length }),
+  patch: () => undefined,
+  bundle: ({ rules, sugarcoatedScripts }) => ({
+    rules: countRules(rules),
+    scripts: sugarcoatedScripts.length,
+  }),
+};
+
+const succeededCrawls = state => state.crawls.filter(crawl => !crawl.error);
+
+// Each stage reads what the previous stages left in state and the output directory, and
+// resolves to its part of the results
+const stageRunners = {
+  crawl: async (ctx, state, stages) => {
+    const crawls = await getCrawls(ctx);
+    await timeStage(ctx, stages, 'graphs', () => generateAllGraphs(ctx, crawls));
+    state.crawls = serializeCrawls(crawls);
+    if (succeededCrawls(state).length == 0) {
+      throw new Error('Failed to generate graphs for every URL, exiting');
+    }
+    return { crawls };
+  },
+  extract: async (ctx, state, stages) => {
+    ctx.log('Getting scripts from graphs...');
+    const scripts = await timeStage(ctx, stages, 'sources', () =>
+      getSources(ctx, succeededCrawls(state))
+    );
+    state.scripts = serializeScripts(ctx);
+    return { scripts };
+  },
+  patch: async (ctx, state, stages) => {
+    ctx.log('Running sugarcoat...');
+    await timeStage(ctx, stages, 'config', () =>
+      massageConfig(
+        ctx,
+        succeededCrawls(state).map(crawl => crawl.graphsDir)
+      )
+    );
+    await timeStage(ctx, stages, 'sugarcoat', () => runSugarCoat(ctx));
+    return {};
+  },
+  bundle: async (ctx, state, stages) => {
+    const { log, minify, verify, outputFormats } = ctx;
+    log('Post-processing...');
+    let { rules, redirects, scriptlets, manifestEntries, sugarcoatedScripts } = await timeStage(
+      ctx,
+      stages,
+      'postprocess',
+      () =>
+        postProcessing(
+          ctx,
+          succeededCrawls(state).map(crawl => crawl.url)
+        )
+    );
+    if (scriptlets.length > 0) {
+      log(`Patching ${scriptlets.length} inline or evaluated script(s) with scriptlets...`);
+    }
+    log('Writing diff reports...');
+    const diffReports = await timeStage(ctx, stages, 'diff', () =>
+      writeDiffReports(ctx, manifestEntries)
+    );
+    diffReports.forEach((diffReport, index) => (manifestEntries[index].diffReport = diffReport));
+    let minifiedScripts = [];
+    if (minify) {
+      log('Minifying scripts...');
+      minifiedScripts = await timeStage(ctx, stages, 'minify', () => minifyScripts(ctx));
+    }
+    let resourcesIndex = null;
+    if (ctx.publish) {
+      log('Writing publication-ready list...');
+      rules = await timeStage(ctx, stages, 'publish', () => publishList(ctx, ctx.rulesFile));
+      resourcesIndex = await writeResourcesIndex(
+        ctx.sugarcoatedScriptsDir,
+        ctx.resourcesIndexFile
+      );
+    }
+    let formats = {};
+    if (outputFormats.length > 0) {
+      log('Writing output formats...');
+      formats = await timeStage(ctx, stages, 'formats', () =>
+        writeFormats(ctx, redirects, scriptlets)
+      );
+    }
+    let verification = null;
+    if (verify) {
+      log('Verifying scripts and rules...');
+      verification = await timeStage(ctx, stages, 'verify', () =>
+        verifyScripts(ctx, manifestEntries, redirects)
+      );
+    }
+    const manifest = await timeStage(ctx, stages, 'manifest', () =>
+      writeManifest(ctx, manifestEntries, minifiedScripts)
+    );
+    [...manifest.scripts, ...manifest.pageScripts].forEach(
+      ({ name, kind, resource, originalUrl, policyApis, observedApis, sizes }) =>
+        ctx.logger.event({
+          type: 'script',
+          name,
+          status: 'finished',
+          stage: 'bundle',
+          kind,
+          url: originalUrl,
+          resource,
+          counts: {
+            policyApis: policyApis.length,
+            observedApis: observedApis.length,
+            bytes: sizes.minified || sizes.patched,
+          },
+        })
+    );
+    const scriptTree = await timeStage(ctx, stages, 'tree', () =>
+      writeScriptTrees(ctx, manifestEntries)
+    );
+    let merge = null;
+    if (ctx.mergeInto) {
+      log('Merging into published list...');
+      merge = await timeStage(ctx, stages, 'merge', () => mergeIntoList(ctx));
+      if (ctx.publish) {
+        merge.rules = await publishList(ctx, ctx.mergeInto);
+        await writeResourcesIndex(
+          ctx.resourcesDir,
+          path.join(ctx.resourcesDir, path.basename(ctx.resourcesIndexFile))
+        );
+      }
+    }
+    return {
+      rules: rules.map(rule => rule.trim()),
+      rulesFile: ctx.rulesFile,
+      sugarcoatedScripts,
+      redirects,
+      scriptlets,
+      formats,
+      manifest,
+      manifestFile: ctx.manifestFile,
+      scriptTree,
+      scriptTreeFile: ctx.scriptTreeFile,
+      verification,
+      merge,
+      resourcesIndex,
+    };
+  },
+};
+
+// Stages a command runs: 'all' starts over unless resuming a run that was interrupted
+const getStagesToRun = (ctx, command, state) => {
+  if (!commands.includes(command)) {
+    throw new Error(`Unknown command ${command}, must be one of ${commands}`);
+  }
+  let stagesToRun = [command];
+  if (command === 'all') {
+    stagesToRun = ctx.resume
+      ? stageNames.filter(stage => !state.completed.includes(stage))
+      : stageNames;
+  }
+  if (!ctx.explain) return stagesToRun;
+  // Explaining takes the place of extracting, and nothing runs after it
+  if (!stagesToRun.includes('extract')) {
+    throw new Error('The explain option needs a command that extracts scripts (extract or all)');
+  }
+  return stagesToRun.slice(0, stagesToRun.indexOf('extract'));
+};
+
+// Check the rules of a previous run against fresh graphs, leaving its output as it is
+const runCheck = async ctx => {
+  const { log, keep, checkGraphsDir, graphsDirOverrides } = ctx;
+  const stages = [];
+  log('Precheck and clean...');
+  await checkInputs(ctx, ['crawl', 'extract']);
+  await fs.rm(checkGraphsDir, { force: true, recursive: true });
+  const check = await timeStage(ctx, stages, 'check', () => checkRules(ctx));
+  if (!keep && !graphsDirOverrides) {
+    await fs.rm(checkGraphsDir, { force: true, recursive: true });
+  }
+  log('Done!');
+  return { ...check, stages };
+};
+
+// List the recipes, or write a new one
+const runRecipes = async ctx => {
+  const [action = 'list', api, mock] = ctx.recipeArgs;
+  if (action === 'list') return { recipes: await listRecipes(ctx) };
+  if (action === 'new') {
+    const recipe = await newRecipe(ctx, api, mock);
+    ctx.log(`Wrote ${recipe.file}`);
+    return { recipe };
+  }
+  throw new Error(`Unknown recipes action ${action}, must be list or new`);
+};
+
+// Run a stage from the outputs of the previous ones, reporting when it starts and ends
+const runStage = async (ctx, state, stage, stages, results) => {
+  const { logger } = ctx;
+  const start = Date.now();
+  logger.event({ type: 'stage', name: stage, status: 'started' });
+  try {
+    await timeStage(ctx, stages, stage == 'crawl' ? 'clean' : `clean-${stage}`, () =>
+      cleanStageOutputs(ctx, stage)
+    );
+    await startStage(ctx, state, stage);
+    Object.assign(results, await stageRunners[stage](ctx, state, stages));
+    await finishStage(ctx, state, stage);
+  } catch (err) {
+    logger.event({
+      type: 'stage',
+      name: stage,
+      status: 'failed',
+      durationMs: Date.now() - start,
+      error: err,
+    });
+    throw err;
+  }
+  logger.event({
+    type: 'stage',
+    name: stage,
+    status: 'finished',
+    durationMs: Date.now() - start,
+    counts: stageCounts[stage](results),
+  });
+};
+
+// Final event of a run, with what it produced and how many things failed along the way
+const summarize = (ctx, command, results, start, err) => {
+  const { logger } = ctx;
+  const counts = {
+    ...(results.crawls ? stageCounts.crawl(results) : {}),
+    ...(results.scripts ? { scripts: Object.keys(results.scripts).length } : {}),
+    ...(results.rules ? { rules: countRules(results.rules) } : {}),
+    failures: logger.failures.length + (err ? 1 : 0),
+  };
+  logger.summary({
+    name: command,
+    status: err ? 'failed' : 'finished',
+    durationMs: Date.now() - start,
+    counts,
+    ...(err ? { error: err } : {}),
+  });
+};
+
+/**
+ * Run one stage of the pipeline ('crawl', 'extract', 'patch' or 'bundle'), or all of them
+ * ('all'). Each stage starts from the artifacts the previous stage left in the output
+ * directory, and records in state.json that it finished. 'check' compares the scripts of
+ * a previous run with fresh graphs instead (see checkRules), and 'recipes' lists the recipes
+ * (resolving to { recipes }) or writes a new one (resolving to { recipe }, see newRecipe)
+ * depending on recipeArgs. 'serve' starts the job service (resolving to { server, url,
+ * jobs }, see serveJobs). See createContext for the accepted options.
+ *
+ * Intermediary files are only erased (unless keep is set) at the end of, or on failure
+ * of, a full run, as single stages need them to run again. A failed verification keeps the
+ * output directory, for verify.json and the scripts it points at. What failed (crawls, stages,
+ * verified scripts, the run itself) is then written to sugarcoat_failures.log, which is
+ * kept (see writeFailureLog).
+ *
+ * Resolves to { stages } plus the results of the stages that ran: crawls for crawl,
+ * scripts for extract and rules, rulesFile, sugarcoatedScripts, redirects, formats,
+ * manifest, manifestFile, scriptTree, scriptTreeFile, verification, merge and
+ * resourcesIndex for bundle, and
+ * failureLogFile (null if nothing failed). See
+ * runPipeline. With the explain option, no scripts are extracted and explanation lists, for
+ * every script request of every graph, why it would or wouldn't be picked (see
+ * explainSources).
+ */
+export const runCommand = async (command, options) => {
+  const start = Date.now();
+  const ctx = createContext(options);
+  const { log, logger, keep, outputDir } = ctx;
+  if (command === 'check') return runCheck(ctx);
+  if (command === 'recipes') return runRecipes(ctx);
+  if (command === 'serve') return serveJobs(ctx);
+  const state = await readState(ctx);
+  const stagesToRun = getStagesToRun(ctx, command, state);
+  const stages = [];
+  if (stagesToRun.length == 0 && !ctx.explain) {
+    log(`Every stage already finished in ${outputDir}, nothing to resume`);
+    return { stages };
+  }
+  const fullRun = command === 'all';
+  const results = { stages };
+  try {
+    log('Precheck and clean...');
+    await checkInputs(ctx, ctx.explain ? [...stagesToRun, 'extract'] : stagesToRun);
+    checkStageReady(ctx, state, stagesToRun[0] || 'extract');
+    if (state.scripts && !stagesToRun.includes('extract')) {
+      restoreScripts(ctx, state.scripts);
+    }
+    stageNames
+      .filter(stage => fullRun && !stagesToRun.includes(stage))
+      .forEach(stage =>
+        logger.event({ type: 'stage', name: stage, status: 'skipped', reason: 'already finished' })
+      );
+    for (const stage of stagesToRun) {
+      await runStage(ctx, state, stage, stages, results);
+    }
+    if (ctx.explain) {
+      log('Explaining script selection...');
+      results.explanation = await timeStage(ctx, stages, 'explain', () =>
+        explainSources(ctx, succeededCrawls(state))
+      );
+    }
+    if (fullRun && !keep) {
+      await timeStage(ctx, stages, 'cleanup', () => cleanIntermediaryFiles(ctx));
+    }
+    log('Done!');
+    summarize(ctx, command, results, start);
+    results.failureLogFile = await writeFailureLog(ctx);
+    return results;
+  } catch (err) {
+    if (fullRun && !keep && !(err instanceof VerificationError)) {
+      await fs.rm(outputDir, { force: true, recursive: true });
+    }
+    summarize(ctx, command, results, start, err);
+    await writeFailureLog(ctx);
+    throw err;
+  }
+};
+
+/**
+ * Run the whole pipeline: crawl, extract scripts, sugarcoat them and generate rules.
+ * See createContext for the accepted options.
+ *
+ * Resolves to { crawls, scripts, rules, rulesFile, sugarcoatedScripts, redirects, scriptlets,
+ * formats, manifest, manifestFile, scriptTree, scriptTreeFile, verification, merge,
+ * resourcesIndex, stages, failureLogFile } where scripts maps each extracted script name to its original URL,
+ * sugarcoatedScripts lists the paths of the generated scripts, redirects lists the script
+ * URL pattern, page domains and resource name of each rule, scriptlets lists the name, kind
+ * ('inline' or 'eval'), page domains and resource name of each scriptlet rule of the scripts
+ * without a URL (see scriptlets.js), formats maps each extra output format to the path it was
+ * written to, manifest is the content of manifest.json, scriptTree is the content of
+ * script_tree.json (see annotateScriptTrees), verification is the content of
+ * verify.json (null without the verify option), merge is what mergeIntoList did (null
+ * without the mergeInto option), resourcesIndex lists the SHA-256 and SRI string of each
+ * script (null without the publish option, see writeResourcesIndex), stages lists how long
+ * each stage took and failureLogFile is the path of the failure log (null if nothing failed).
+ */
+export const runPipeline = async options => runCommand('all', options);
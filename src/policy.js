@@ -0,0 +1,84 @@
+import { promises as fs } from 'fs';
+
+// Turn a pattern where * matches anything into a regex matching the whole URL
+const patternToRegExp = pattern => {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+};
+
+const matchesDomain = (hostname, domain) => hostname === domain || hostname.endsWith(`.${domain}`);
+
+// An override applies to a script if its URL matches one of the override patterns
+// or its host is (a subdomain of) one of the override domains
+export const overrideMatches = (override, scriptUrl) => {
+  const { domains = [], patterns = [] } = override;
+  let hostname;
+  try {
+    hostname = new URL(scriptUrl).hostname;
+  } catch (err) {
+    hostname = null;
+  }
+  return (
+    (hostname !== null && domains.some(domain => matchesDomain(hostname, domain))) ||
+    patterns.some(pattern => patternToRegExp(pattern).test(scriptUrl))
+  );
+};
+
+// Start from the default policy, then for each matching override (in order) add its
+// include list and remove its exclude list
+export const resolvePolicy = (config, scriptUrl) => {
+  const { policy = {}, overrides = [] } = config;
+  let include = [...(policy.include || [])];
+  overrides
+    .filter(override => overrideMatches(override, scriptUrl))
+    .forEach(({ include: added = [], exclude: removed = [] }) => {
+      include = [...include, ...added.filter(api => !include.includes(api))];
+      include = include.filter(api => !removed.includes(api));
+    });
+  return { ...policy, include };
+};
+
+// APIs of each preset, all of them having a built-in recipe
+export const policyPresets = {
+  storage: ['Window#Storage', 'Document#cookie', 'Window#localStorage', 'Window#sessionStorage'],
+  network: [
+    'Window#fetch',
+    'Window#XMLHttpRequest',
+    'XMLHttpRequest',
+    'Window#XMLHttpRequestEventTarget',
+    'Window#XMLHttpRequestUpload',
+  ],
+  fingerprinting: [
+    'Navigator#userAgent',
+    'Navigator#appVersion',
+    'Navigator#platform',
+    'Navigator#vendor',
+    'Navigator#productSub',
+    'Navigator#doNotTrack',
+  ],
+};
+
+export const presetNames = [...Object.keys(policyPresets), 'all'];
+
+export const presetApis = presets => {
+  const unknownPresets = presets.filter(preset => !presetNames.includes(preset));
+  if (unknownPresets.length > 0) {
+    throw new Error(`Unknown preset ${unknownPresets}, must be some of ${presetNames}`);
+  }
+  const names = presets.includes('all') ? Object.keys(policyPresets) : presets;
+  return [...new Set(names.flatMap(name => policyPresets[name]))];
+};
+
+/**
+ * Read the policy file of the context (if any) and add the APIs of its presets to the
+ * default policy, after those of the file. Resolves to the policy file contents with the
+ * resulting policy, overrides being kept as they are.
+ */
+export const readPolicyConfig = async ctx => {
+  const { policyJsonFile, presets } = ctx;
+  const config = policyJsonFile ? JSON.parse(await fs.readFile(policyJsonFile, 'UTF-8')) : {};
+  const policy = config.policy || {};
+  const include = [...(policy.include || [])];
+  presetApis(presets).forEach(api => include.includes(api) || include.push(api));
+  return { ...config, policy: { ...policy, include } };
+};
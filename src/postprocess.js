@@ -0,0 +1,214 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import globby from 'globby';
+import uglify from 'uglify-js';
+import os from 'os';
+import { getDomainOrHost, getHashOfFile } from './utils.js';
+import { collectManifestEntries, sourceMapFile } from './manifest.js';
+import { wildcardVersions } from './urls.js';
+import { readPolicyConfig } from './policy.js';
+import { formatScriptletRule, writeScriptlets } from './scriptlets.js';
+
+export const tweakRules = async (ctx, oldNamesToNewNames, crawlUrls) => {
+  const {
+    logger,
+    rulesFile,
+    scriptNameToUrl,
+    scriptUrlToPageDomains,
+    scriptUrlAliases,
+    pageScripts,
+    selection,
+  } = ctx;
+  logger.debug('Tweaking rules file');
+  const file = await fs.readFile(rulesFile, 'UTF-8');
+  // The file ends with a line break, and is empty when no script was sugarcoated
+  const rules = file
+    .toString()
+    .split(os.EOL)
+    .filter(rule => rule.trim());
+  const allPageDomains = await Promise.all(crawlUrls.map(url => getDomainOrHost(url, false)));
+  let newRules = [];
+  let redirects = [];
+  // Rules that only differ by page domain are merged into one rule with domain=a.com|b.com
+  let ruleToPageDomains = new Map();
+  // Page scripts get scriptlet rules instead of sugarcoat's redirects
+  const pageScriptUrls = Object.keys(pageScripts).map(name => scriptNameToUrl[name]);
+
+  // Add name of crawl URLs as first commented out rules
+  crawlUrls.forEach(crawlUrl => newRules.push(`! ${crawlUrl}${os.EOL}`));
+  // and how the scripts were picked
+  if (selection) newRules.push(`! Selection: ${selection}${os.EOL}`);
+  // and which APIs they are restricted from (overrides are in the manifest)
+  const { policy } = await readPolicyConfig(ctx);
+  newRules.push(`! Policy: ${policy.include.join(', ')}${os.EOL}`);
+  // Now for all rules...
+  await Promise.all(
+    rules.map(async rule => {
+      // 1. Only use domain
+      const parts = rule.split('$');
+      const scriptUrl = parts[0];
+      if (pageScriptUrls.includes(scriptUrl)) return;
+      const filterOptions = parts[1];
+      const filterOptionsParts = filterOptions.split('redirect=');
+      let sugarcoatScriptName = filterOptionsParts[1];
+      const restOfFilterOptions = filterOptionsParts[0];
+      if (sugarcoatScriptName in oldNamesToNewNames) {
+        sugarcoatScriptName = oldNamesToNewNames[sugarcoatScriptName];
+      }
+      // 2. Change redirect=<scriptname> to be new scriptname
+      // if there is one (if we need to the hash of the contents as filename)
+      // Other URLs of the same script get the same redirect
+      const scriptUrls = [scriptUrl, ...(scriptUrlAliases[scriptUrl] || [])];
+      for (const url of scriptUrls) {
+        const scriptUrlPath = new URL(url).pathname;
+        const scriptDomain = await getDomainOrHost(url, true);
+        const urlPattern = `||${scriptDomain}${scriptUrlPath}`;
+        const ruleKey = `${urlPattern}$${restOfFilterOptions}redirect=${sugarcoatScriptName}`;
+        const pageDomains = scriptUrlToPageDomains[url] || allPageDomains;
+        if (!ruleToPageDomains.has(ruleKey)) {
+          ruleToPageDomains.set(ruleKey, {
+            urlPattern,
+            restOfFilterOptions,
+            sugarcoatScriptName,
+            domains: new Set(),
+          });
+        }
+        pageDomains.forEach(domain => ruleToPageDomains.get(ruleKey).domains.add(domain));
+      }
+    })
+  );
+  // Optionally, one rule with * for the versions of a script served from versioned paths
+  if (ctx.wildcardVersions) {
+    // Versions redirecting to different resources (or with other options) are kept apart
+    const resources = new Map();
+    ruleToPageDomains.forEach(({ urlPattern, restOfFilterOptions, sugarcoatScriptName }) => {
+      if (!resources.has(urlPattern)) resources.set(urlPattern, new Set());
+      resources.get(urlPattern).add(`${restOfFilterOptions}redirect=${sugarcoatScriptName}`);
+    });
+    const wildcards = wildcardVersions([...resources.keys()], urlPattern =>
+      [...resources.get(urlPattern)].sort().join(' ')
+    );
+    const mergedRules = new Map();
+    ruleToPageDomains.forEach(
+      ({ urlPattern, restOfFilterOptions, sugarcoatScriptName, domains }) => {
+        const wildcard = wildcards.get(urlPattern);
+        const ruleKey = `${wildcard}$${restOfFilterOptions}redirect=${sugarcoatScriptName}`;
+        if (!mergedRules.has(ruleKey)) {
+          mergedRules.set(ruleKey, {
+            urlPattern: wildcard,
+            restOfFilterOptions,
+            sugarcoatScriptName,
+            domains: new Set(),
+          });
+        }
+        domains.forEach(domain => mergedRules.get(ruleKey).domains.add(domain));
+      }
+    );
+    logger.debug(`Merged ${ruleToPageDomains.size} rules into ${mergedRules.size}`);
+    ruleToPageDomains = mergedRules;
+  }
+  // Keep page domains in the order the URLs were given, frame domains last
+  const rank = domain =>
+    allPageDomains.includes(domain) ? allPageDomains.indexOf(domain) : allPageDomains.length;
+  // 3. Add domain= option with every page domain the script was seen on
+  ruleToPageDomains.forEach(
+    ({ urlPattern, restOfFilterOptions, sugarcoatScriptName, domains }) => {
+      const sortedDomains = [...domains].sort((a, b) => rank(a) - rank(b));
+      const newOptions = `domain=${sortedDomains.join('|')},redirect=${sugarcoatScriptName}`;
+      logger.debug(`New filter options are ${newOptions}`);
+      newRules.push(`${urlPattern}$${restOfFilterOptions}${newOptions}${os.EOL}`);
+      redirects.push({
+        urlPattern,
+        pageDomains: sortedDomains,
+        resourceName: sugarcoatScriptName,
+      });
+    }
+  );
+  // 4. Inline and evaluated scripts are patched in the page on the domains they were seen on
+  const scriptlets = Object.keys(pageScripts)
+    .sort()
+    .map(name => {
+      const sugarcoatScriptName = `sugarcoat-${name}`;
+      const resourceName = oldNamesToNewNames[sugarcoatScriptName] || sugarcoatScriptName;
+      const domains = scriptUrlToPageDomains[scriptNameToUrl[name]] || allPageDomains;
+      const pageDomains = [...domains].sort((a, b) => rank(a) - rank(b));
+      return { name, kind: pageScripts[name].kind, pageDomains, resourceName };
+    });
+  if (scriptlets.length > 0) {
+    newRules.push(
+      `! Inline and evaluated scripts, patched by scriptlets rather than redirected${os.EOL}`
+    );
+    scriptlets.forEach(scriptlet => newRules.push(`${formatScriptletRule(scriptlet)}${os.EOL}`));
+  }
+  // Write new rules file
+  await fs.writeFile(rulesFile, newRules.join(''));
+  return { rules: newRules, redirects, scriptlets };
+};
+
+export const postProcessing = async (ctx, crawlUrls) => {
+  const { logger, useHashForName, scriptsDir, sugarcoatedScriptsDir } = ctx;
+  await fs.copyFile(ctx.rawRulesFile, ctx.rulesFile);
+  // Copy generated scripts out of output/ and into sugarcoatedScriptsDir
+  const sugarcoatedScripts = await globby(path.join(scriptsDir, '/sugarcoat-*.js'));
+  await fs.mkdir(sugarcoatedScriptsDir, { recursive: true });
+  let oldNamesToNewNames = {};
+  const movedScripts = await Promise.all(
+    sugarcoatedScripts.map(async sugarcoatedScript => {
+      let scriptName;
+      if (useHashForName) {
+        // Rename file to be hash of script contents
+        const hash = await getHashOfFile(sugarcoatedScript);
+        scriptName = `sugarcoat-${hash}`;
+        logger.debug(`New script name for ${sugarcoatedScript} is ${scriptName}`);
+        // The sugarcoat package generates the redirect option as $...redirect=filename without the .js extension
+        oldNamesToNewNames[path.basename(sugarcoatedScript).split('.js')[0]] = scriptName;
+      } else {
+        scriptName = path.basename(sugarcoatedScript);
+      }
+      const movedScript = path.join(sugarcoatedScriptsDir, scriptName);
+      await fs.copyFile(sugarcoatedScript, movedScript);
+      const resourceName = path.basename(scriptName, '.js');
+      return { from: sugarcoatedScript, to: movedScript, resourceName };
+    })
+  );
+  logger.debug(oldNamesToNewNames);
+  await writeScriptlets(ctx, movedScripts);
+  const { rules, redirects, scriptlets } = await tweakRules(ctx, oldNamesToNewNames, crawlUrls);
+  const manifestEntries = await collectManifestEntries(ctx, movedScripts);
+  return {
+    oldNamesToNewNames,
+    rules,
+    redirects,
+    scriptlets,
+    manifestEntries,
+    sugarcoatedScripts: movedScripts.map(({ to }) => to),
+  };
+};
+
+export const minifyScripts = async ctx => {
+  const { sugarcoatedScriptsDir, sourceMapsDir } = ctx;
+  // Minify all scripts in sugarcoatedScriptsDir, named sugarcoat-<hash> without extension
+  // unless the original names are kept
+  const sugarcoatedScripts = await globby(path.join(sugarcoatedScriptsDir, '/sugarcoat-*'));
+  await fs.mkdir(sourceMapsDir, { recursive: true });
+  await Promise.all(
+    sugarcoatedScripts.map(async sugarcoatedScript => {
+      // Read in file
+      const src = await fs.readFile(sugarcoatedScript, 'UTF-8');
+      // The source map embeds the unminified script, and isn't referenced from the minified
+      // one so that the served resource stays the same
+      const fileName = path.basename(sugarcoatedScript);
+      const minified = uglify.minify(
+        { [`unminified/${fileName}`]: src },
+        { sourceMap: { filename: fileName, includeSources: true } }
+      );
+      if (minified.error) {
+        // Also catches sugarcoated scripts that don't parse
+        throw new Error(`Failed to minify ${sugarcoatedScript}: ${minified.error.message}`);
+      }
+      await fs.writeFile(sugarcoatedScript, minified.code);
+      await fs.writeFile(sourceMapFile(ctx, sugarcoatedScript), minified.map);
+    })
+  );
+  return sugarcoatedScripts;
+};
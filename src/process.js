@@ -0,0 +1,149 @@
+import { execFile } from 'child_process';
+
+export const defaultConcurrency = 4;
+export const defaultBackoffSecs = 5;
+
+// Processes like pagegraph-cli print whole graphs, well past execFile's 1MB default
+const maxBuffer = 256 * 1024 * 1024;
+
+// Only the end of stderr goes into error messages, where the actual error usually is
+const stderrTail = (stderr, lines = 20) =>
+  String(stderr || '')
+    .trimEnd()
+    .split(/\r?\n/)
+    .slice(-lines)
+    .join('\n');
+
+// Arguments quoted for display only, processes are never run through a shell
+const quoteArg = arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`);
+
+export const formatCommand = (file, args = []) => [file, ...args].map(quoteArg).join(' ');
+
+/**
+ * A process that could not be started, exited with a non-zero code, was killed or ran past
+ * its timeout. Keeps the command, exit code (null if it was killed), signal and output.
+ */
+export class ProcessError extends Error {
+  constructor({ file, args, exitCode, signal, timedOut, stdout, stderr, cause }) {
+    const command = formatCommand(file, args);
+    let reason;
+    if (timedOut) {
+      reason = 'timed out';
+    } else if (exitCode !== null && exitCode !== undefined) {
+      reason = `exited with code ${exitCode}`;
+    } else if (signal) {
+      reason = `was killed with ${signal}`;
+    } else {
+      reason = `failed: ${cause && cause.message}`;
+    }
+    const tail = stderrTail(stderr);
+    super(`Command ${command} ${reason}${tail ? `:\n${tail}` : ''}`);
+    this.name = 'ProcessError';
+    this.command = command;
+    this.file = file;
+    this.args = args;
+    this.exitCode = exitCode === undefined ? null : exitCode;
+    this.signal = signal || null;
+    this.timedOut = !!timedOut;
+    this.stdout = stdout || '';
+    this.stderr = stderr || '';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Limit the number of tasks running at once: the returned function runs the given async
+ * function once fewer than concurrency tasks are running, and resolves to its result.
+ */
+export const createLimiter = concurrency => {
+  if (!(concurrency >= 1)) {
+    throw new Error(`Invalid concurrency ${concurrency}, must be at least 1`);
+  }
+  let running = 0;
+  const waiting = [];
+  const next = () => {
+    if (running >= concurrency || waiting.length == 0) return;
+    running++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  };
+  return task =>
+    new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      next();
+    });
+};
+
+// Processes of a run share the limiter of its context, created on first use
+const processLimiter = ctx => {
+  if (!ctx.processLimiter) {
+    ctx.processLimiter = createLimiter(ctx.concurrency || defaultConcurrency);
+  }
+  return ctx.processLimiter;
+};
+
+/**
+ * Run file with the argv array args, without a shell, once the concurrency limit of the
+ * context allows it. The process is killed after timeout ms (0 for no timeout). Resolves to
+ * { stdout, stderr }, rejects with a ProcessError.
+ */
+export const runProcess = async (ctx, file, args = [], { timeout = 0, cwd } = {}) => {
+  const { logger } = ctx;
+  return processLimiter(ctx)(
+    () =>
+      new Promise((resolve, reject) => {
+        logger.debug(`Running ${formatCommand(file, args)}`);
+        execFile(
+          file,
+          args,
+          { timeout, cwd, maxBuffer, killSignal: 'SIGKILL', windowsHide: true },
+          (err, stdout, stderr) => {
+            if (!err) return resolve({ stdout, stderr });
+            const started = typeof err.code !== 'string';
+            reject(
+              new ProcessError({
+                file,
+                args,
+                exitCode: started ? err.code : null,
+                signal: err.signal,
+                // execFile kills processes running past their timeout with killSignal
+                timedOut: timeout > 0 && err.killed && err.signal === 'SIGKILL',
+                stdout,
+                stderr,
+                cause: started ? undefined : err,
+              })
+            );
+          }
+        );
+      })
+  );
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call attempt until it resolves, at most retries times in all, waiting backoffSecs seconds
+ * before the second attempt and twice as long before each next one. onRetry is called with
+ * the error and the number of the failed attempt before waiting. Rejects with the error of
+ * the last attempt.
+ */
+export const withRetries = async (
+  attempt,
+  { retries, backoffSecs = defaultBackoffSecs, onRetry = () => {} }
+) => {
+  for (let attemptNumber = 1; ; attemptNumber++) {
+    try {
+      return await attempt(attemptNumber);
+    } catch (err) {
+      if (attemptNumber >= retries) throw err;
+      onRetry(err, attemptNumber);
+      await sleep(backoffSecs * 1000 * 2 ** (attemptNumber - 1));
+    }
+  }
+};
@@ -0,0 +1,89 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import crypto from 'crypto';
+import os from 'os';
+import { parseRule } from './merge.js';
+import { parseScriptletRule } from './scriptlets.js';
+
+export const defaultListTitle = 'SugarCoat';
+export const defaultListExpires = '4 days';
+export const defaultListHomepage = 'https://github.com/brave-experiments/sugarcoat-pipeline';
+export const defaultListLicense = 'MPL-2.0';
+
+const resourcePrefix = 'sugarcoat-';
+
+// Header lines written by formatPublishedList, replaced when a published list is rewritten
+const headerLine = /^(\[Adblock Plus [\d.]+\]|!\s*(Checksum|Title|Version|Last modified|Expires|Homepage|License)\s*:)/i;
+
+// Default version: the UTC time of the run, e.g. 202110191230
+const timestampVersion = date => date.toISOString().replace(/\D/g, '').slice(0, 12);
+
+/**
+ * Checksum of a filter list as checked by Adblock Plus: the base64 MD5 (without padding) of
+ * the list without its checksum line, with \r removed and empty lines collapsed.
+ */
+export const listChecksum = text => {
+  const normalized = text
+    .replace(/\r/g, '')
+    .replace(/\n+/g, '\n')
+    .replace(/^\s*!\s*checksum[\s\-:]+([\w+/=]+).*\n/gim, '');
+  return crypto.createHash('md5').update(normalized, 'utf8').digest('base64').replace(/=+$/, '');
+};
+
+/**
+ * Turn rule lines into a complete filter list: an [Adblock Plus 2.0] header with the title,
+ * version, expiry, homepage and license of the context, then the comments of the lines (the
+ * crawled URLs, selection and policy) and the rules in sorted order, so that two versions of
+ * the list can be compared. A header the lines already have is replaced. Returns the lines
+ * of the list, the checksum line coming right after the [Adblock Plus 2.0] line.
+ */
+export const formatPublishedList = (ctx, lines, date = new Date()) => {
+  const { listTitle, listVersion, listExpires, listHomepage, listLicense } = ctx;
+  const body = lines.map(line => line.trim()).filter(line => line && !headerLine.test(line));
+  const isRule = line => parseRule(line) || parseScriptletRule(line);
+  const comments = body.filter(line => !isRule(line));
+  const rules = body.filter(isRule).sort();
+  const metadata = [
+    `! Title: ${listTitle}`,
+    `! Version: ${listVersion || timestampVersion(date)}`,
+    `! Last modified: ${date.toISOString()}`,
+    `! Expires: ${listExpires}`,
+    `! Homepage: ${listHomepage}`,
+    `! License: ${listLicense}`,
+  ];
+  const list = ['[Adblock Plus 2.0]', ...metadata, ...[...new Set(comments)], ...rules];
+  const checksum = listChecksum(list.join('\n') + '\n');
+  return [list[0], `! Checksum: ${checksum}`, ...list.slice(1)];
+};
+
+// Rewrite a rules file as a complete filter list (see formatPublishedList)
+export const publishList = async (ctx, file, date = new Date()) => {
+  const lines = (await fs.readFile(file, 'UTF-8')).split(/\r?\n/);
+  const list = formatPublishedList(ctx, lines, date);
+  await fs.writeFile(file, list.join(os.EOL) + os.EOL);
+  return list;
+};
+
+/**
+ * Write an index of the sugarcoat-* scripts of a directory to indexFile: for each script,
+ * its resource name, file, size, SHA-256 and Subresource Integrity string, so that consumers
+ * can check the scripts they download. Resolves to the entries of the index.
+ */
+export const writeResourcesIndex = async (dir, indexFile) => {
+  const files = (await fs.readdir(dir)).filter(file => file.startsWith(resourcePrefix)).sort();
+  const resources = await Promise.all(
+    files.map(async file => {
+      const contents = await fs.readFile(path.join(dir, file));
+      const digest = crypto.createHash('sha256').update(contents).digest();
+      return {
+        name: path.basename(file, '.js'),
+        file,
+        size: contents.length,
+        sha256: digest.toString('hex'),
+        integrity: `sha256-${digest.toString('base64')}`,
+      };
+    })
+  );
+  await fs.writeFile(indexFile, JSON.stringify(resources, null, 2));
+  return resources;
+};
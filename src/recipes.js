@@ -0,0 +1,159 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { packageDir } from './utils.js';
+import { readPolicyConfig } from './policy.js';
+
+export const builtinRecipesDir = path.join(packageDir, 'recipes');
+
+// Mocks sugarcoat can put in place of an API
+export const sugarcoatMocks = [
+  'cookies',
+  'fetch',
+  'navigator',
+  'navigatorId',
+  'webStorage',
+  'xmlHttpRequest',
+];
+
+// Interface#member, or a global like XMLHttpRequest
+const apiPattern = /^([A-Za-z]\w*)(?:#([\w$]+))?$/;
+
+// Problems with a recipe, none if it can be used
+export const validateRecipe = recipe => {
+  const problems = [];
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    return ['must be an object'];
+  }
+  const { sourceObject, sourceProperty, destinationMock } = recipe;
+  if (
+    !Array.isArray(sourceObject) ||
+    sourceObject.length == 0 ||
+    !sourceObject.every(part => typeof part === 'string' && part)
+  ) {
+    problems.push('sourceObject must be a non-empty list of property names');
+  }
+  if (typeof sourceProperty !== 'string' || !sourceProperty) {
+    problems.push('sourceProperty must be a property name');
+  }
+  if (!sugarcoatMocks.includes(destinationMock)) {
+    problems.push(`destinationMock must be one of ${sugarcoatMocks}`);
+  }
+  return problems;
+};
+
+// Recipes describe where an API lives (sourceObject + sourceProperty) and which sugarcoat
+// mock replaces it, keyed by API name, e.g. Navigator#userAgent. A recipe of a later
+// directory replaces the one of an earlier directory for the same API.
+export const loadRecipes = async (dirs = [builtinRecipesDir]) => {
+  const recipes = {};
+  for (const dir of [].concat(dirs)) {
+    const files = (await fs.readdir(dir)).filter(file => path.extname(file) === '.json');
+    const loaded = await Promise.all(
+      files.map(async file => {
+        const contents = await fs.readFile(path.join(dir, file), 'UTF-8');
+        let recipe;
+        try {
+          recipe = JSON.parse(contents);
+        } catch (err) {
+          throw new Error(`Invalid recipe ${path.join(dir, file)}: ${err.message}`);
+        }
+        const problems = validateRecipe(recipe);
+        if (problems.length > 0) {
+          throw new Error(`Invalid recipe ${path.join(dir, file)}: ${problems.join(', ')}`);
+        }
+        return [path.basename(file, '.json'), recipe];
+      })
+    );
+    loaded.forEach(([api, recipe]) => (recipes[api] = recipe));
+  }
+  return recipes;
+};
+
+// The built-in recipes and those of the recipes directories of the context
+export const loadAllRecipes = ctx => loadRecipes([builtinRecipesDir, ...ctx.recipesDirs]);
+
+/**
+ * Check that every API the policy includes, in the policy file, its overrides or the
+ * presets, has a recipe. Throws listing the APIs without one, so that a typo is caught before
+ * crawling rather than deep inside sugarcoat.
+ */
+export const checkPolicyRecipes = async ctx => {
+  const recipes = await loadAllRecipes(ctx);
+  const { policy, overrides = [] } = await readPolicyConfig(ctx);
+  const apis = [...policy.include, ...overrides.flatMap(override => override.include || [])];
+  const missing = [...new Set(apis.filter(api => !(api in recipes)))];
+  if (missing.length > 0) {
+    throw new Error(
+      `No recipe for ${missing.join(', ')} in ${ctx.policyJsonFile || 'the presets'}` +
+        ' (see the recipes command and the recipes option)'
+    );
+  }
+};
+
+// Every recipe, with the file it comes from, sorted by API name
+export const listRecipes = async ctx => {
+  const dirs = [builtinRecipesDir, ...ctx.recipesDirs];
+  const recipes = await loadAllRecipes(ctx);
+  const files = {};
+  for (const dir of dirs) {
+    (await fs.readdir(dir))
+      .filter(file => path.extname(file) === '.json')
+      .forEach(file => (files[path.basename(file, '.json')] = path.join(dir, file)));
+  }
+  return Object.keys(recipes)
+    .sort()
+    .map(api => ({ api, ...recipes[api], file: files[api] }));
+};
+
+export const formatRecipes = recipes =>
+  recipes
+    .map(
+      ({ api, sourceObject, sourceProperty, destinationMock, file }) =>
+        `${api.padEnd(36)} ${[...sourceObject, sourceProperty].join('.')} -> ${destinationMock}` +
+        ` (${file})`
+    )
+    .join('\n');
+
+// Recipe for an API replaced by the given mock: Window members and globals live on window,
+// other members on the prototype of their interface
+export const scaffoldRecipe = (api, mock) => {
+  const match = apiPattern.exec(api || '');
+  if (!match) {
+    throw new Error(`Cannot make a recipe for ${api}, API names look like Interface#member`);
+  }
+  if (!sugarcoatMocks.includes(mock)) {
+    throw new Error(`Unknown mock ${mock}, must be one of ${sugarcoatMocks}`);
+  }
+  const [, apiInterface, member] = match;
+  if (!member) {
+    return { sourceObject: ['window'], sourceProperty: apiInterface, destinationMock: mock };
+  }
+  const sourceObject = apiInterface === 'Window' ? ['window'] : [apiInterface, 'prototype'];
+  return { sourceObject, sourceProperty: member, destinationMock: mock };
+};
+
+// Same layout as the built-in recipe files, with the source object on one line
+const formatRecipeFile = recipe => {
+  const fields = Object.entries(recipe).map(
+    ([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value).replace(/","/g, '", "')}`
+  );
+  return `{\n${fields.join(',\n')}\n}\n`;
+};
+
+/**
+ * Write the recipe of scaffoldRecipe to <api>.json in the first recipes directory of the
+ * context (the built-in one if there is none). Resolves to { api, file, recipe }.
+ */
+export const newRecipe = async (ctx, api, mock) => {
+  const recipe = scaffoldRecipe(api, mock);
+  const dir = ctx.recipesDirs[0] || builtinRecipesDir;
+  const file = path.join(dir, `${api}.json`);
+  await fs.mkdir(dir, { recursive: true });
+  try {
+    await fs.writeFile(file, formatRecipeFile(recipe), { flag: 'wx' });
+  } catch (err) {
+    if (err.code === 'EEXIST') throw new Error(`${file} already exists`);
+    throw err;
+  }
+  return { api, file, recipe };
+};
@@ -0,0 +1,229 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { loadAllRecipes } from './recipes.js';
+
+// Beyond this many token edits the scripts are shown without a diff
+export const defaultMaxEdits = 5000;
+
+// Words, runs of whitespace and single punctuation characters
+export const tokenize = source => source.match(/\w+|\s+|[^\w\s]/g) || [];
+
+// Merge consecutive edits of the same type into runs of tokens
+const toRuns = edits =>
+  edits.reduce((runs, [type, token]) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      runs.push({ type, tokens: [token] });
+    }
+    return runs;
+  }, []);
+
+/**
+ * Shortest edit script between two token lists (Myers' algorithm), as runs of
+ * { type: 'equal' | 'removed' | 'added', tokens }. Resolves to null when more than maxEdits
+ * edits would be needed, which would take too long for scripts that were mostly rewritten.
+ */
+export const diffTokens = (a, b, maxEdits = defaultMaxEdits) => {
+  // The common start and end need no search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (
+    end < a.length - start &&
+    end < b.length - start &&
+    a[a.length - 1 - end] === b[b.length - 1 - end]
+  ) {
+    end++;
+  }
+  const oldTokens = a.slice(start, a.length - end);
+  const newTokens = b.slice(start, b.length - end);
+  const n = oldTokens.length;
+  const m = newTokens.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Walking back through edit distance d only reads the diagonals -d..d reached before it,
+  // so only those are kept
+  const trace = [];
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k == -d || (k != d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldTokens[x] === newTokens[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+  if (!found) return null;
+  // Walk back from the end through the furthest points reached at each edit distance
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const reached = trace[d];
+    const k = x - y;
+    const prevK = k == -d || (k != d && reached[d + k - 1] < reached[d + k + 1]) ? k + 1 : k - 1;
+    const prevX = d == 0 ? 0 : reached[d + prevK];
+    const prevY = d == 0 ? 0 : prevX - prevK;
+    while (x > prevX && y > prevY) {
+      edits.push(['equal', oldTokens[--x]]);
+      y--;
+    }
+    if (d > 0) {
+      if (x == prevX) {
+        edits.push(['added', newTokens[--y]]);
+      } else {
+        edits.push(['removed', oldTokens[--x]]);
+      }
+    }
+  }
+  edits.reverse();
+  return toRuns([
+    ...a.slice(0, start).map(token => ['equal', token]),
+    ...edits,
+    ...a.slice(a.length - end).map(token => ['equal', token]),
+  ]);
+};
+
+const escapeHtml = text => text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const apiAnchor = api => `api-${api.replace(/[^\w-]/g, '-')}`;
+
+// Tokens standing for an API in patched code: its member name (cookie for Document#cookie)
+// and the name of the mock replacing it
+const apiTokens = (policyApis, recipes) => {
+  const tokens = new Map();
+  policyApis.forEach(api => {
+    const member = api.includes('#') ? api.split('#')[1] : api;
+    [member, recipes[api] && recipes[api].destinationMock]
+      .filter(token => token && !tokens.has(token))
+      .forEach(token => tokens.set(token, api));
+  });
+  return tokens;
+};
+
+const styles = `
+body { font-family: sans-serif; margin: 1em; }
+table.code { width: 100%; table-layout: fixed; border-collapse: collapse; }
+table.code td { vertical-align: top; border: 1px solid #ccc; padding: 0.5em; }
+pre { white-space: pre-wrap; word-break: break-all; margin: 0; font-size: 12px; }
+del { background: #fdd; text-decoration: none; }
+ins { background: #dfd; text-decoration: none; }
+a.api { background: #ff0; font-weight: bold; color: inherit; }
+li:target { background: #ff0; }
+`;
+
+/**
+ * Standalone HTML page comparing the original source of a script with its patched version,
+ * side by side. Removed code is red and added code green, and in added code every token
+ * naming a policy API (its member name or its mock) is highlighted and linked to the entry
+ * of that API in the policy list at the top of the page.
+ */
+export const formatDiffReport = (entry, original, patched, recipes, maxEdits) => {
+  const { name, originalUrl, resource, policyApis = [], observedApis = [] } = entry;
+  const runs = diffTokens(tokenize(original), tokenize(patched), maxEdits);
+  const tokenToApi = apiTokens(policyApis, recipes);
+  const rewrites = {};
+  const renderAdded = tokens =>
+    tokens
+      .map(token => {
+        if (!tokenToApi.has(token)) return escapeHtml(token);
+        const api = tokenToApi.get(token);
+        rewrites[api] = (rewrites[api] || 0) + 1;
+        return `<a class="api" href="#${apiAnchor(api)}" title="${escapeHtml(api)}">${escapeHtml(
+          token
+        )}</a>`;
+      })
+      .join('');
+  let originalHtml = escapeHtml(original);
+  let patchedHtml = escapeHtml(patched);
+  if (runs) {
+    originalHtml = runs
+      .filter(({ type }) => type !== 'added')
+      .map(({ type, tokens }) => {
+        const text = escapeHtml(tokens.join(''));
+        return type === 'removed' ? `<del>${text}</del>` : text;
+      })
+      .join('');
+    patchedHtml = runs
+      .filter(({ type }) => type !== 'removed')
+      .map(({ type, tokens }) =>
+        type === 'added' ? `<ins>${renderAdded(tokens)}</ins>` : escapeHtml(tokens.join(''))
+      )
+      .join('');
+  }
+  const apiItems = policyApis.map(api => {
+    const recipe = recipes[api];
+    const location = recipe
+      ? ` (${escapeHtml([...recipe.sourceObject, recipe.sourceProperty].join('.'))}, mocked by` +
+        ` ${escapeHtml(recipe.destinationMock)})`
+      : '';
+    const observed = observedApis.includes(api) ? ', seen in the trace' : '';
+    return (
+      `<li id="${apiAnchor(api)}"><code>${escapeHtml(api)}</code>${location}:` +
+      ` ${rewrites[api] || 0} highlighted rewrite(s)${observed}</li>`
+    );
+  });
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>SugarCoat diff: ${escapeHtml(name)}</title>
+<style>${styles}</style>
+</head>
+<body>
+<h1>${escapeHtml(resource || name)}</h1>
+<p>Original script: <code>${escapeHtml(originalUrl || name)}</code></p>
+<h2>Policy</h2>
+<ul>
+${apiItems.join('\n')}
+</ul>
+${runs ? '' : '<p>Too many changes to compare the scripts, both are shown as they are.</p>'}
+<table class="code">
+<tr><th>Original</th><th>Patched</th></tr>
+<tr><td><pre>${originalHtml}</pre></td><td><pre>${patchedHtml}</pre></td></tr>
+</table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Write a diff report (see formatDiffReport) for each script of the manifest entries to
+ * diffReportsDir, comparing scripts/<name>.js with the unminified scripts/sugarcoat-<name>.js
+ * sugarcoat wrote. Resolves to the path of each entry's report.
+ */
+export const writeDiffReports = async (ctx, entries, maxEdits = defaultMaxEdits) => {
+  const { logger, scriptsDir, diffReportsDir } = ctx;
+  const recipes = await loadAllRecipes(ctx);
+  await fs.mkdir(diffReportsDir, { recursive: true });
+  return Promise.all(
+    entries.map(async entry => {
+      const original = await fs.readFile(path.join(scriptsDir, `${entry.name}.js`), 'UTF-8');
+      const patched = await fs.readFile(
+        path.join(scriptsDir, `sugarcoat-${entry.name}.js`),
+        'UTF-8'
+      );
+      const reportFile = path.join(diffReportsDir, `${entry.resource || entry.name}.html`);
+      logger.debug(`Writing diff report ${reportFile}`);
+      await fs.writeFile(
+        reportFile,
+        formatDiffReport(entry, original, patched, recipes, maxEdits)
+      );
+      return reportFile;
+    })
+  );
+};
@@ -0,0 +1,119 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+
+/**
+ * Scripts that no request loaded can't be redirected: inline <script> blocks ('inline') and
+ * code evaluated with eval or new Function ('eval'). Their patched versions are instead
+ * injected in the page by scriptlet rules (a.com##+js(sugarcoat-...)), whose resources swap
+ * the original code for the patched one before it runs. Only code compiled by new Function
+ * can be swapped without changing how the other code of the page runs, see
+ * isFunctionSource.
+ */
+export const pageScriptKinds = ['inline', 'eval'];
+
+// Wrapping eval would make every direct eval call of the page global, so code evaluated
+// with eval is left as it is, only code compiled by new Function gets a scriptlet. The
+// graphs record the source new Function(a, b, body) compiles to.
+export const isFunctionSource = source =>
+  /^\(function anonymous\([^]*\n\) \{\n[^]*\n\}\)$/.test(source);
+
+// Page scripts have no URL, they are named after the page they were seen on, e.g.
+// https://a.com/#inline-0123456789ab, so that policy overrides for the page apply to them
+export const pageScriptUrl = (pageUrl, name) => {
+  const url = new URL(pageUrl);
+  url.hash = name;
+  return url.href;
+};
+
+// Length and FNV-1a hash of the UTF-16 code units of a source, cheap enough to compute in
+// the page for every inline script and evaluated string. Also serialized into scriptlets, so
+// it has to stay self-contained ES5.
+export function sourceFingerprint(source) {
+  var hash = 0x811c9dc5;
+  for (var i = 0; i < source.length; i++) {
+    hash ^= source.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return source.length + ':' + hash.toString(16);
+}
+
+// Runs in the page, before its scripts, see formatScriptlet. Inline scripts are seen by a
+// MutationObserver when the parser inserts them, which is before they run: the original is
+// given a type that keeps it from running and the patched version is inserted after it, with
+// its nonce for pages with a CSP. Code compiled by new Function is caught by wrapping
+// Function, eval is left alone.
+function installPatchedScript(fingerprint, kind, expected, patched) {
+  if (kind === 'inline') {
+    new MutationObserver(function (mutations) {
+      mutations.forEach(function (mutation) {
+        mutation.addedNodes.forEach(function (node) {
+          if (node.nodeName !== 'SCRIPT' || node.src || fingerprint(node.text) !== expected) {
+            return;
+          }
+          var replacement = document.createElement('script');
+          if (node.nonce) replacement.nonce = node.nonce;
+          replacement.text = patched;
+          node.type = 'text/x-sugarcoat-original';
+          node.parentNode.insertBefore(replacement, node.nextSibling);
+        });
+      });
+    }).observe(document, { childList: true, subtree: true });
+    return;
+  }
+  // Indirect eval of the patched function expression compiles it in the global scope, as
+  // Function does
+  var realEval = window.eval;
+  var RealFunction = window.Function;
+  var PatchedFunction = function () {
+    // Same source as isFunctionSource expects
+    var args = Array.prototype.slice.call(arguments);
+    var body = args.length > 0 ? String(args.pop()) : '';
+    var source = '(function anonymous(' + args.join(',') + '\n) {\n' + body + '\n})';
+    return fingerprint(source) === expected
+      ? realEval(patched)
+      : RealFunction.apply(this, arguments);
+  };
+  PatchedFunction.prototype = RealFunction.prototype;
+  window.Function = PatchedFunction;
+}
+
+/**
+ * Source of the scriptlet resource replacing a page script of the given kind, recognized by
+ * the fingerprint of its original source, with its patched source.
+ */
+export const formatScriptlet = ({ kind, fingerprint, patched }) =>
+  `(${installPatchedScript})(${sourceFingerprint}, ${JSON.stringify(kind)}, ` +
+  `${JSON.stringify(fingerprint)}, ${JSON.stringify(patched)});\n`;
+
+export const formatScriptletRule = ({ pageDomains, resourceName }) =>
+  `${pageDomains.join(',')}##+js(${resourceName})`;
+
+// Page domains and resource of a scriptlet rule, null for other lines
+export const parseScriptletRule = line => {
+  const match = (line || '').match(/^([^#!\s]*)##\+js\(([^,)]+)\)$/);
+  if (!match) return null;
+  const pageDomains = match[1].split(',').filter(domain => domain);
+  return { pageDomains, resourceName: match[2].trim() };
+};
+
+/**
+ * Replace each sugarcoated page script of movedScripts (see postProcessing) with the
+ * scriptlet that injects it, keeping the patched source in scripts/sugarcoat-<name>.js for
+ * diff reports and verification. Resolves to the names of the page scripts.
+ */
+export const writeScriptlets = async (ctx, movedScripts) => {
+  const { logger, pageScripts } = ctx;
+  const written = [];
+  await Promise.all(
+    movedScripts.map(async ({ from, to }) => {
+      const name = path.basename(from, '.js').replace(/^sugarcoat-/, '');
+      if (!(name in pageScripts)) return;
+      const { kind, fingerprint } = pageScripts[name];
+      const patched = await fs.readFile(from, 'UTF-8');
+      logger.debug(`Writing scriptlet ${to} for ${kind} script ${name}`);
+      await fs.writeFile(to, formatScriptlet({ kind, fingerprint, patched }));
+      written.push(name);
+    })
+  );
+  return written.sort();
+};
@@ -0,0 +1,117 @@
+import * as path from 'path';
+import { getDomainOrHost, readUrlFile } from './utils.js';
+import { overrideMatches } from './policy.js';
+
+// Ways of picking the scripts to sugarcoat among the requests of a graph. A request is
+// picked if any of the chosen strategies picks it.
+export const selectStrategies = ['excepted', 'blocked', 'third-party', 'pattern', 'allowlist'];
+export const defaultSelect = ['excepted'];
+
+export const isScriptRequest = request => /script/i.test(request.request_type || '');
+
+const getDomain = async url => {
+  try {
+    return await getDomainOrHost(url, false);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Each strategy resolves to why it picks the request (request.url being the URL of the
+// requested resource), or null
+const strategies = {
+  excepted: async ({ blocking_filter, exception_filter }) =>
+    blocking_filter && exception_filter
+      ? `blocked by ${blocking_filter}, excepted by ${exception_filter}`
+      : null,
+  blocked: async ({ blocking_filter, exception_filter }) =>
+    blocking_filter && !exception_filter ? `blocked by ${blocking_filter}` : null,
+  'third-party': async (request, pageUrl) => {
+    if (!isScriptRequest(request)) return null;
+    const [scriptDomain, pageDomain] = await Promise.all([
+      getDomain(request.url),
+      getDomain(pageUrl),
+    ]);
+    return scriptDomain && pageDomain && scriptDomain !== pageDomain
+      ? `third-party script on ${pageDomain}`
+      : null;
+  },
+  pattern: async (request, pageUrl, { patterns }) => {
+    const pattern = patterns.find(pattern => pattern.test(request.url));
+    return isScriptRequest(request) && pattern ? `matches ${pattern}` : null;
+  },
+  allowlist: async (request, pageUrl, { allowlist, allowlistFile }) =>
+    isScriptRequest(request) && overrideMatches(allowlist, request.url)
+      ? `listed in ${path.basename(allowlistFile)}`
+      : null,
+};
+
+/**
+ * Build the function deciding if a request (an entry of the requests of adblockRules, plus
+ * the url of the requested resource) made by the page at pageUrl is picked. It resolves
+ * to the reasons the strategies picked it for, joined, or null.
+ *
+ * patterns are the regexes of the pattern strategy. allowlist has the domains (also
+ * matching subdomains) and patterns (URLs where * matches anything) of the allowlist
+ * strategy, read from allowlistFile.
+ */
+export const createSelector = (
+  select = defaultSelect,
+  { patterns = [], allowlist = { domains: [], patterns: [] }, allowlistFile = null } = {}
+) => async (request, pageUrl) => {
+  const reasons = await Promise.all(
+    select.map(strategy =>
+      strategies[strategy](request, pageUrl, { patterns, allowlist, allowlistFile })
+    )
+  );
+  const picked = reasons.filter(reason => reason);
+  return picked.length > 0 ? picked.join('; ') : null;
+};
+
+// Allowlist files have one domain or URL pattern per line, lines starting with # are ignored
+export const readAllowlist = async file => {
+  const entries = await readUrlFile(file);
+  const isPattern = entry => entry.includes('*') || entry.includes('://');
+  return {
+    domains: entries.filter(entry => !isPattern(entry)),
+    patterns: entries.filter(isPattern),
+  };
+};
+
+// Check the select options of the context and build its selector
+export const loadSelector = async ctx => {
+  const { select, selectPatterns, selectAllowlist } = ctx;
+  const unknownStrategies = select.filter(strategy => !selectStrategies.includes(strategy));
+  if (select.length == 0 || unknownStrategies.length > 0) {
+    throw new Error(
+      `Unknown selection strategy ${unknownStrategies}, must be some of ${selectStrategies}`
+    );
+  }
+  if (select.includes('pattern') != selectPatterns.length > 0) {
+    throw new Error('The pattern selection strategy needs select patterns, and only it uses them');
+  }
+  if (select.includes('allowlist') != !!selectAllowlist) {
+    throw new Error('The allowlist selection strategy needs an allowlist, and only it uses one');
+  }
+  const patterns = selectPatterns.map(pattern => {
+    try {
+      return new RegExp(pattern);
+    } catch (err) {
+      throw new Error(`Invalid select pattern ${pattern}: ${err.message}`);
+    }
+  });
+  const allowlist = selectAllowlist ? await readAllowlist(selectAllowlist) : undefined;
+  return createSelector(select, { patterns, allowlist, allowlistFile: selectAllowlist });
+};
+
+// Summary of the select options, for the rules header
+export const describeSelection = ctx => {
+  const { select, selectPatterns, selectAllowlist } = ctx;
+  return select
+    .map(strategy => {
+      if (strategy === 'pattern') return `pattern ${selectPatterns.join(' ')}`;
+      if (strategy === 'allowlist') return `allowlist ${path.basename(selectAllowlist)}`;
+      return strategy;
+    })
+    .join(', ');
+};
@@ -0,0 +1,373 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { runPipeline } from './pipeline.js';
+import { createContext } from './context.js';
+import { validateSettings } from './config.js';
+import { createLimiter } from './process.js';
+
+export const defaultPort = 8420;
+export const defaultHost = '127.0.0.1';
+export const defaultWorkers = 1;
+// Jobs upload their graphs and filter lists, which can be big
+export const defaultMaxUploadMb = 200;
+
+// Pipeline options a job can set, with the same names as for runPipeline. Paths on the
+// server (mergeInto, recipes...) are left out, the binary and processes are the server's.
+// So are verify, which runs the uploaded scripts, and selectPatterns, client regexes.
+export const jobOptions = [
+  'secs',
+  'retries',
+  'retryBackoff',
+  'crawlDepth',
+  'maxPages',
+  'presets',
+  'minify',
+  'keepOriginalScriptName',
+  'frameDomains',
+  'treeScripts',
+  'ignoreQueryParams',
+  'wildcardVersions',
+  'evalScriptlets',
+  'select',
+  'formats',
+  'publish',
+  'listTitle',
+  'listVersion',
+  'listExpires',
+  'listHomepage',
+  'listLicense',
+];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Uploaded files are named by the client, only keep names that stay in their directory
+const uploadName = (name, extension) => {
+  if (!name || path.basename(name) !== name || name.startsWith('.')) {
+    throw new HttpError(400, `Invalid file name ${name}`);
+  }
+  if (extension && path.extname(name).toLowerCase() !== extension) {
+    throw new HttpError(400, `Invalid file name ${name}, must end with ${extension}`);
+  }
+  return name;
+};
+
+const isFileMap = value =>
+  value &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.values(value).every(contents => typeof contents === 'string');
+
+/**
+ * Check a job submitted to POST /jobs:
+ *   urls (or url): the URLs to sugarcoat
+ *   graphs: recorded graphs to use instead of crawling, one object per URL mapping .graphml
+ *     file names to their contents (an object alone for a single URL)
+ *   filterLists: object mapping filter list file names to their contents, the filter lists
+ *     of the server if missing
+ *   policy: policy object, the policy of the server if missing (and no presets are given)
+ *   options: other pipeline options, among jobOptions (their values are checked against
+ *     the settings schema when the job is posted)
+ * Returns the job request with urls and graphs as arrays, throws an HttpError otherwise.
+ */
+export const validateJobRequest = body => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'A job must be a JSON object');
+  }
+  const urls = [].concat(body.urls || body.url || []);
+  if (urls.length == 0 || !urls.every(url => typeof url === 'string' && url)) {
+    throw new HttpError(400, 'A job must have at least one URL (via urls or url)');
+  }
+  const graphs = body.graphs ? [].concat(body.graphs) : null;
+  if (graphs) {
+    if (graphs.length != urls.length) {
+      throw new HttpError(
+        400,
+        `Got graphs for ${graphs.length} URLs out of ${urls.length}, must provide graphs` +
+          ' for every URL'
+      );
+    }
+    if (!graphs.every(files => isFileMap(files) && Object.keys(files).length > 0)) {
+      throw new HttpError(400, 'Graphs must map .graphml file names to their contents');
+    }
+    graphs.forEach(files => Object.keys(files).forEach(name => uploadName(name, '.graphml')));
+  }
+  if (body.filterLists !== undefined) {
+    if (!isFileMap(body.filterLists)) {
+      throw new HttpError(400, 'filterLists must map file names to their contents');
+    }
+    Object.keys(body.filterLists).forEach(name => uploadName(name));
+  }
+  if (
+    body.policy !== undefined &&
+    (!body.policy || typeof body.policy !== 'object' || Array.isArray(body.policy))
+  ) {
+    throw new HttpError(400, 'policy must be a policy object');
+  }
+  const options = body.options || {};
+  const unknown = Object.keys(options).filter(option => !jobOptions.includes(option));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown option ${unknown.join(', ')}, must be one of ${jobOptions}`);
+  }
+  return { urls, graphs, filterLists: body.filterLists, policy: body.policy, options };
+};
+
+// Write the uploads of a job to its inputs directory, and return its pipeline options
+const prepareJob = async (ctx, job, request) => {
+  const inputsDir = path.join(job.dir, 'inputs');
+  const options = {
+    binary: ctx.binary,
+    logLevel: ctx.logLevel,
+    concurrency: ctx.concurrency,
+    timeout: ctx.timeout,
+    backend: ctx.backend,
+    recipes: ctx.recipesDirs,
+    filterLists: ctx.filterlists,
+    policy: ctx.policyJsonFile,
+    presets: ctx.presets,
+    ...request.options,
+    urls: request.urls,
+    output: path.join(job.dir, 'output'),
+    log: message => job.logs.push(message),
+  };
+  // Presets alone don't come with the server's policy
+  if (request.options.presets) options.policy = null;
+  if (request.graphs) {
+    options.graphsDirOverrides = await Promise.all(
+      request.graphs.map(async (files, index) => {
+        const graphsDir = path.join(inputsDir, 'graphs', String(index));
+        await fs.mkdir(graphsDir, { recursive: true });
+        await Promise.all(
+          Object.entries(files).map(([name, contents]) =>
+            fs.writeFile(path.join(graphsDir, name), contents)
+          )
+        );
+        return graphsDir;
+      })
+    );
+  }
+  if (request.filterLists) {
+    const listsDir = path.join(inputsDir, 'lists');
+    await fs.mkdir(listsDir, { recursive: true });
+    options.filterLists = await Promise.all(
+      Object.entries(request.filterLists).map(async ([name, contents]) => {
+        await fs.writeFile(path.join(listsDir, name), contents);
+        return path.join(listsDir, name);
+      })
+    );
+  }
+  if (request.policy) {
+    options.policy = path.join(inputsDir, 'policy.json');
+    await fs.mkdir(inputsDir, { recursive: true });
+    await fs.writeFile(options.policy, JSON.stringify(request.policy, null, 2));
+  }
+  return options;
+};
+
+// What GET /jobs/:id shows of a job: the rules and links to the scripts once it succeeded
+const describeJob = job => ({
+  id: job.id,
+  status: job.status,
+  urls: job.urls,
+  created: job.created,
+  started: job.started,
+  finished: job.finished,
+  error: job.error,
+  logs: job.logs,
+  outputDir: job.outputDir,
+  ...(job.result
+    ? {
+        rules: job.result.rules,
+        scripts: job.result.sugarcoatedScripts.map(script => ({
+          name: path.basename(script, '.js'),
+          url: `/jobs/${job.id}/scripts/${path.basename(script)}`,
+        })),
+        manifest: `/jobs/${job.id}/manifest`,
+      }
+    : {}),
+});
+
+const summarizeJob = ({ id, status, urls, created, finished }) => ({
+  id,
+  status,
+  urls,
+  created,
+  finished,
+});
+
+// Past maxBytes the rest of the body is read and dropped, so that the error can be sent
+const readBody = (req, maxBytes) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= maxBytes) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > maxBytes) {
+        reject(new HttpError(413, `Job is larger than ${maxBytes} bytes`));
+      } else {
+        resolve(Buffer.concat(chunks).toString('utf8'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+// Objects are sent as JSON, strings as they are
+const send = (res, status, body, contentType = 'application/json') => {
+  const text = typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+  res.writeHead(status, { 'Content-Type': `${contentType}; charset=utf-8` });
+  res.end(text);
+};
+
+/**
+ * Job service: runs the pipeline for the jobs posted to it, at most workers at once, each
+ * in its own output directory under jobsDir. Jobs are only kept in memory, their files stay
+ * in jobsDir. Returns { handler, jobs, submit } where handler is the request listener of the
+ * HTTP server:
+ *   POST /jobs                    queue a job (see validateJobRequest), 202 with its id
+ *   GET  /jobs                    every job and its status
+ *   GET  /jobs/:id                status, logs, and the rules and scripts of the job
+ *   GET  /jobs/:id/rules          the rules file
+ *   GET  /jobs/:id/manifest       the run manifest
+ *   GET  /jobs/:id/scripts/:file  a sugarcoated script
+ */
+export const createJobService = ctx => {
+  const { jobsDir, workers, maxUploadMb } = ctx;
+  const jobs = new Map();
+  const limit = createLimiter(workers);
+
+  const runJob = async (job, request) => {
+    job.status = 'running';
+    job.started = new Date().toISOString();
+    try {
+      const options = await prepareJob(ctx, job, request);
+      job.outputDir = options.output;
+      job.result = await runPipeline(options);
+      job.status = 'succeeded';
+    } catch (err) {
+      job.status = 'failed';
+      job.error = err.message;
+    }
+    job.finished = new Date().toISOString();
+  };
+
+  const submit = request => {
+    const id = crypto.randomBytes(8).toString('hex');
+    const job = {
+      id,
+      status: 'queued',
+      urls: request.urls,
+      dir: path.join(jobsDir, id),
+      outputDir: null,
+      created: new Date().toISOString(),
+      started: null,
+      finished: null,
+      error: null,
+      logs: [],
+      result: null,
+    };
+    jobs.set(id, job);
+    job.done = limit(() => runJob(job, request));
+    return job;
+  };
+
+  const findJob = id => {
+    if (!jobs.has(id)) throw new HttpError(404, `No job ${id}`);
+    return jobs.get(id);
+  };
+
+  // The rules, manifest and scripts only exist once the job succeeded
+  const sendOutputFile = async (res, job, file, contentType) => {
+    if (job.status !== 'succeeded') {
+      throw new HttpError(409, `Job ${job.id} is ${job.status}, it has no output yet`);
+    }
+    let contents;
+    try {
+      contents = await fs.readFile(file, 'UTF-8');
+    } catch (err) {
+      throw new HttpError(404, `No ${path.basename(file)} for job ${job.id}`);
+    }
+    send(res, 200, contents, contentType);
+  };
+
+  const routes = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const parts = pathname.split('/').filter(part => part);
+    if (parts[0] !== 'jobs' || parts.length > 4) throw new HttpError(404, 'Not found');
+    if (parts.length == 1 && req.method === 'POST') {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req, maxUploadMb * 1024 * 1024));
+      } catch (err) {
+        if (err instanceof HttpError) throw err;
+        throw new HttpError(400, `Invalid JSON: ${err.message}`);
+      }
+      const request = validateJobRequest(body);
+      const problems = await validateSettings(request.options);
+      if (problems.length > 0) {
+        throw new HttpError(400, `Invalid options: ${problems.join('; ')}`);
+      }
+      const job = submit(request);
+      return send(res, 202, { id: job.id, status: job.status, url: `/jobs/${job.id}` });
+    }
+    if (req.method !== 'GET') throw new HttpError(405, `Cannot ${req.method} ${pathname}`);
+    if (parts.length == 1) return send(res, 200, [...jobs.values()].map(summarizeJob));
+    const job = findJob(parts[1]);
+    if (parts.length == 2) return send(res, 200, describeJob(job));
+    const { rulesFile, manifestFile, sugarcoatedScriptsDir } = createContext({
+      output: path.join(job.dir, 'output'),
+    });
+    if (parts.length == 3 && parts[2] === 'rules') {
+      return sendOutputFile(res, job, rulesFile, 'text/plain');
+    }
+    if (parts.length == 3 && parts[2] === 'manifest') {
+      return sendOutputFile(res, job, manifestFile, 'application/json');
+    }
+    if (parts.length == 4 && parts[2] === 'scripts') {
+      // Scripts are named sugarcoat-<hash>, with .js only when keeping the original name
+      const file = uploadName(parts[3]);
+      if (!file.startsWith('sugarcoat-')) throw new HttpError(404, `No script ${file}`);
+      return sendOutputFile(
+        res,
+        job,
+        path.join(sugarcoatedScriptsDir, file),
+        'application/javascript'
+      );
+    }
+    throw new HttpError(404, 'Not found');
+  };
+
+  const handler = (req, res) =>
+    routes(req, res).catch(err => {
+      const status = err instanceof HttpError ? err.status : 500;
+      send(res, status, { error: err.message });
+    });
+
+  return { handler, jobs, submit };
+};
+
+/**
+ * Start the job service (see createJobService) on the host and port of the context.
+ * Resolves to { server, url, jobs } once it listens.
+ */
+export const serveJobs = async ctx => {
+  const { log, host, port } = ctx;
+  const { handler, jobs } = createJobService(ctx);
+  const server = http.createServer(handler);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+  const url = `http://${address.address}:${address.port}`;
+  log(`Serving jobs on ${url}, writing their output to ${ctx.jobsDir}`);
+  return { server, url, jobs };
+};
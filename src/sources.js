@@ -0,0 +1,332 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import unusedFilename from 'unused-filename';
+import { getDomainOrHost, getHash } from './utils.js';
+import { normalizeUrl } from './urls.js';
+import { openGraph, prepareBackend, queryFailed, requestScript } from './pagegraph.js';
+import { loadSelector, describeSelection } from './select.js';
+import { crawlGraphFiles } from './graphs.js';
+import { pageScriptUrl, sourceFingerprint, isFunctionSource } from './scriptlets.js';
+import { treeScriptModes, buildScriptTree, selectTreeScripts } from './tree.js';
+
+export const frameDomainModes = ['both', 'frame', 'top'];
+
+// Page domains the rules for a script loaded in the given frame are scoped to. Scripts of
+// the root frame get the domain of the crawled page, scripts of other frames that of the
+// frame's document, of the page, or both.
+export const ruleDomainsForFrame = async (ctx, pageUrl, frame) => {
+  const pageDomain = await getDomainOrHost(pageUrl, false);
+  if (!frame || frame.isRoot || !frame.url || ctx.frameDomains === 'top') return [pageDomain];
+  let frameDomain;
+  try {
+    frameDomain = await getDomainOrHost(frame.url, false);
+  } catch (err) {
+    return [pageDomain]; // about:blank and the like
+  }
+  if (ctx.frameDomains === 'frame') return [frameDomain];
+  return [...new Set([pageDomain, frameDomain])];
+};
+
+// The same picked request is found through each of the requests downstream of it
+const uniqueMatches = matches => [
+  ...new Map(matches.map(match => [`${match.filterList} ${match.edge_id}`, match])).values(),
+];
+
+// Why a page script was picked, from the picked request that led to it
+const pageScriptReason = (script, matchedRequest) =>
+  script.kind === 'inline'
+    ? `inline script requesting ${matchedRequest.url} (${matchedRequest.reason})`
+    : `evaluated by code loaded through ${matchedRequest.url} (${matchedRequest.reason})`;
+
+/**
+ * Extract the inline and evaluated scripts of a graph (see pageScripts in graphml.js) that
+ * requested one of the requests of requestMatches, or that a script loaded by one of them
+ * (or another extracted page script) evaluated. requestMatches maps the request ids found
+ * downstream of picked requests to the picked requests, with the filter list that matched.
+ * Page scripts are named after their kind and source, e.g. inline-0123456789ab, the same
+ * source seen on several pages being extracted once. Evaluated code is only extracted with
+ * evalScriptlets, and only when new Function compiled it (see isFunctionSource).
+ */
+const extractPageScripts = async (ctx, graph, page, requestMatches) => {
+  const {
+    logger,
+    scriptsDir,
+    scriptNameToUrl,
+    urlsSeen,
+    scriptUrlToPageDomains,
+    scriptUrlToMatches,
+    pageScripts,
+    evalScriptlets,
+  } = ctx;
+  const { pageUrl, frame, graphFile, pageDomains } = page;
+  const scripts = await graph.pageScripts();
+  const scriptMatches = new Map();
+  // Evaluated code can evaluate code in turn, go on until no script is added
+  let added = true;
+  while (added) {
+    added = false;
+    scripts
+      .filter(script => !scriptMatches.has(script.id))
+      .forEach(script => {
+        const matches =
+          script.kind === 'inline'
+            ? script.requestIds.flatMap(requestId => requestMatches.get(requestId) || [])
+            : requestMatches.get(script.parentRequestId) ||
+              scriptMatches.get(script.parentScriptId) ||
+              [];
+        if (matches.length == 0) return;
+        scriptMatches.set(script.id, uniqueMatches(matches));
+        added = true;
+      });
+  }
+  const skipped = scripts.filter(
+    script =>
+      script.kind === 'eval' &&
+      scriptMatches.has(script.id) &&
+      !(evalScriptlets && isFunctionSource(script.source))
+  );
+  if (skipped.length > 0) {
+    const reason = evalScriptlets ? 'evaluated with eval' : 'no --eval-scriptlets';
+    logger.debug(
+      `Left ${skipped.length} evaluated script(s) of ${pageUrl} as they are: ${reason}`
+    );
+  }
+  await Promise.all(
+    scripts
+      .filter(script => scriptMatches.has(script.id) && !skipped.includes(script))
+      .map(async script => {
+        const { kind, source } = script;
+        const hash = getHash(source);
+        const sourceKey = `${kind} sha1 ${hash}`;
+        let scriptUrl = urlsSeen.get(sourceKey);
+        if (!scriptUrl) {
+          const name = `${kind}-${hash.slice(0, 12)}`;
+          scriptUrl = pageScriptUrl(pageUrl, name);
+          urlsSeen.set(sourceKey, scriptUrl);
+          scriptNameToUrl[name] = scriptUrl;
+          pageScripts[name] = { kind, fingerprint: sourceFingerprint(source) };
+          await fs.writeFile(path.join(scriptsDir, `${name}.js`), source);
+          logger.event({
+            type: 'script',
+            name,
+            status: 'finished',
+            stage: 'extract',
+            kind,
+            url: pageUrl,
+            counts: { bytes: Buffer.byteLength(source) },
+          });
+        }
+        if (!(scriptUrl in scriptUrlToPageDomains)) {
+          scriptUrlToPageDomains[scriptUrl] = new Set();
+        }
+        pageDomains.forEach(domain => scriptUrlToPageDomains[scriptUrl].add(domain));
+        if (!(scriptUrl in scriptUrlToMatches)) {
+          scriptUrlToMatches[scriptUrl] = [];
+        }
+        scriptMatches.get(script.id).forEach(matchedRequest =>
+          scriptUrlToMatches[scriptUrl].push({
+            pageUrl,
+            frame,
+            graphFile,
+            parentEdge: matchedRequest.edge_id,
+            filterList: matchedRequest.filterList,
+            blockingFilter: matchedRequest.blocking_filter,
+            exceptionFilter: matchedRequest.exception_filter,
+            reason: pageScriptReason(script, matchedRequest),
+          })
+        );
+      })
+  );
+};
+
+export const getSources = async (ctx, crawls) => {
+  const {
+    logger,
+    filterlists,
+    scriptsDir,
+    scriptNameToUrl,
+    urlsSeen,
+    scriptUrlToPageDomains,
+    scriptUrlToMatches,
+    scriptUrlAliases,
+    scriptTrees,
+    treeScripts,
+    ignoreQueryParams,
+  } = ctx;
+  logger.debug(`Querying graphs with the ${ctx.backend} backend...`);
+  if (!frameDomainModes.includes(ctx.frameDomains)) {
+    throw new Error(
+      `Unknown frame domains mode ${ctx.frameDomains}, must be one of ${frameDomainModes}`
+    );
+  }
+  if (!treeScriptModes.includes(treeScripts)) {
+    throw new Error(`Unknown tree scripts mode ${treeScripts}, must be one of ${treeScriptModes}`);
+  }
+  await prepareBackend(ctx);
+  const select = await loadSelector(ctx);
+  ctx.selection = describeSelection(ctx);
+  // For each graph file of each crawl (can be run independently)
+  const graphs = crawlGraphFiles(crawls);
+  await Promise.all(
+    graphs.map(async ({ pageUrl, graphsDir, graphFile }) => {
+      const graphPath = path.join(graphsDir, graphFile);
+      const graph = await openGraph(ctx, graphPath);
+      // Each graph is one frame of the page
+      const frame = await graph.frame().catch(err => {
+        queryFailed(logger, graphPath, 'frame', err);
+        return null;
+      });
+      const pageDomains = await ruleDomainsForFrame(ctx, pageUrl, frame);
+      // Picked requests of every filter list, by request id downstream of them
+      const requestMatches = new Map();
+      await Promise.all(
+        filterlists.map(async filterlist => {
+          let jsonOutput;
+          try {
+            jsonOutput = await graph.adblockRules(filterlist);
+          } catch (err) {
+            // e.g. a weirdly-shaped domain: the other graphs and lists go on (see --explain)
+            queryFailed(logger, graphPath, `adblock_rules ${path.basename(filterlist)}`, err);
+            return;
+          }
+          const requests = jsonOutput.flatMap(resource =>
+            resource.requests.map(request => ({ ...request, url: resource.url }))
+          );
+          const reasons = await Promise.all(requests.map(request => select(request, pageUrl)));
+          const matchedRequests = requests
+            .map((request, index) => ({ ...request, reason: reasons[index] }))
+            .filter(request => request.reason);
+          // For each edge that corresponds to script, get the tree of downstream requests,
+          // remembering which matched request pulled each of them in
+          const requestIdToMatches = new Map();
+          const requestTrees = await Promise.all(
+            matchedRequests.map(async matchedRequest => {
+              const edge = matchedRequest.edge_id;
+              const requestTree = await graph.requestTree(edge);
+              logger.debug(
+                `Requests for edge ${edge} of ${graphFile} with ${filterlist}:`,
+                requestTree
+              );
+              requestTree.forEach(({ requestId }) => {
+                if (!requestIdToMatches.has(requestId)) requestIdToMatches.set(requestId, []);
+                requestIdToMatches.get(requestId).push(matchedRequest);
+              });
+              return requestTree;
+            })
+          );
+
+          requestIdToMatches.forEach((matches, requestId) => {
+            if (!requestMatches.has(requestId)) requestMatches.set(requestId, []);
+            matches.forEach(matchedRequest =>
+              requestMatches.get(requestId).push({ ...matchedRequest, filterList: filterlist })
+            );
+          });
+
+          const requestInfos = new Map();
+          await Promise.all(
+            [...requestIdToMatches.keys()].map(async requestId => {
+              const info = await requestScript(logger, graph, graphPath, requestId);
+              if (info) requestInfos.set(requestId, info);
+            })
+          );
+          // Keep the scripts of each tree, for script_tree.json, and extract those of the
+          // treeScripts mode
+          const scriptUrls = new Map([...requestInfos].map(([id, info]) => [id, info.url]));
+          const filters = new Map(requests.map(request => [String(request.request_id), request]));
+          const uniqueRequests = new Set();
+          matchedRequests.forEach((matchedRequest, index) => {
+            const root = buildScriptTree(requestTrees[index], scriptUrls, filters);
+            if (!root) return;
+            scriptTrees.push({
+              pageUrl,
+              frame,
+              graphFile: graphPath,
+              filterList: filterlist,
+              reason: matchedRequest.reason,
+              root,
+            });
+            selectTreeScripts(root, treeScripts).forEach(requestId =>
+              uniqueRequests.add(requestId)
+            );
+          });
+          // For each request id, get the source and put into outputDir
+          await Promise.all(
+            [...uniqueRequests].map(async requestId => {
+              const jsonOutput = requestInfos.get(requestId);
+              const origUrl = jsonOutput.url;
+              if (!(origUrl in scriptUrlToPageDomains)) {
+                scriptUrlToPageDomains[origUrl] = new Set();
+              }
+              pageDomains.forEach(domain => scriptUrlToPageDomains[origUrl].add(domain));
+              // Keep why the script was picked, for the run manifest
+              if (!(origUrl in scriptUrlToMatches)) {
+                scriptUrlToMatches[origUrl] = [];
+              }
+              requestIdToMatches.get(requestId).forEach(matchedRequest =>
+                scriptUrlToMatches[origUrl].push({
+                  pageUrl,
+                  frame,
+                  graphFile: graphPath,
+                  parentEdge: matchedRequest.edge_id,
+                  filterList: filterlist,
+                  blockingFilter: matchedRequest.blocking_filter,
+                  exceptionFilter: matchedRequest.exception_filter,
+                  reason: matchedRequest.reason,
+                })
+              );
+              // Same script as one already extracted: same URL once normalized, or same
+              // source. It then gets the rules of that one's sugarcoated version.
+              const urlKey = `url ${normalizeUrl(origUrl, ignoreQueryParams)}`;
+              const sourceKey = `sha1 ${getHash(jsonOutput.source)}`;
+              const seenUrl = urlsSeen.get(urlKey) || urlsSeen.get(sourceKey);
+              urlsSeen.set(urlKey, seenUrl || origUrl);
+              urlsSeen.set(sourceKey, seenUrl || origUrl);
+              if (seenUrl) {
+                if (seenUrl !== origUrl && !(scriptUrlAliases[seenUrl] || []).includes(origUrl)) {
+                  scriptUrlAliases[seenUrl] = [...(scriptUrlAliases[seenUrl] || []), origUrl];
+                  logger.event({
+                    type: 'script',
+                    name: origUrl,
+                    status: 'skipped',
+                    stage: 'extract',
+                    reason: `same script as ${seenUrl}`,
+                  });
+                }
+                return;
+              }
+              const parsedUrl = new URL(origUrl);
+              const pathName = parsedUrl.pathname;
+              let scriptName = path.basename(pathName, '.js');
+              if (scriptName === '') {
+                // We didn't get anything from pathname, just use hostname
+                scriptName = path.basename(parsedUrl.hostname);
+              }
+              let source = jsonOutput.source;
+              const scriptFilePath = path.join(scriptsDir, scriptName + '.js');
+              let unusedScriptFilename = await unusedFilename(scriptFilePath, {
+                incrementer: unusedFilename.separatorIncrementer('_'),
+              });
+              scriptNameToUrl[path.basename(unusedScriptFilename, '.js')] = origUrl;
+              await fs.writeFile(unusedScriptFilename, source, { recursive: true });
+              logger.event({
+                type: 'script',
+                name: path.basename(unusedScriptFilename, '.js'),
+                status: 'finished',
+                stage: 'extract',
+                url: origUrl,
+                counts: { bytes: Buffer.byteLength(source) },
+              });
+            })
+          );
+        })
+      );
+      await extractPageScripts(
+        ctx,
+        graph,
+        { pageUrl, frame, graphFile: graphPath, pageDomains },
+        requestMatches
+      );
+    })
+  );
+  return scriptNameToUrl;
+};
@@ -0,0 +1,91 @@
+import { promises as fs } from 'fs';
+
+// Stages in the order they run, each reading the artifacts of the one before it
+export const stageNames = ['crawl', 'extract', 'patch', 'bundle'];
+
+const emptyState = () => ({ completed: [], crawls: null, scripts: null });
+
+export const readState = async ctx => {
+  try {
+    return { ...emptyState(), ...JSON.parse(await fs.readFile(ctx.stateFile, 'UTF-8')) };
+  } catch (err) {
+    return emptyState();
+  }
+};
+
+export const writeState = async (ctx, state) => {
+  await fs.writeFile(
+    ctx.stateFile,
+    JSON.stringify({ ...state, updated: new Date().toISOString() }, null, 2)
+  );
+};
+
+// Stages that have to be finished before the given stage can run
+export const stagesBefore = stage => stageNames.slice(0, stageNames.indexOf(stage));
+
+export const checkStageReady = (ctx, state, stage) => {
+  const missing = stagesBefore(stage).filter(name => !state.completed.includes(name));
+  if (missing.length > 0) {
+    throw new Error(
+      `Cannot run ${stage}: ${missing.join(', ')} not finished in ${ctx.outputDir}` +
+        ` (see ${ctx.stateFile})`
+    );
+  }
+};
+
+// Running a stage invalidates its own result and those of the stages after it
+export const startStage = async (ctx, state, stage) => {
+  state.completed = state.completed.filter(name => stagesBefore(stage).includes(name));
+  state.running = stage;
+  await writeState(ctx, state);
+};
+
+export const finishStage = async (ctx, state, stage) => {
+  state.completed = [...state.completed, stage];
+  delete state.running;
+  await writeState(ctx, state);
+};
+
+// The crawls as stored in the state file, errors are kept as messages
+export const serializeCrawls = crawls =>
+  crawls.map(({ url, graphsDir, readLocal, graphFiles, pages, error }) => ({
+    url,
+    graphsDir,
+    readLocal,
+    graphFiles: graphFiles || null,
+    pages: pages
+      ? pages.map(page => ({
+          url: page.url,
+          depth: page.depth,
+          graphFiles: page.graphFiles || null,
+          error: page.error ? page.error.message : null,
+        }))
+      : null,
+    error: error ? error.message : null,
+  }));
+
+// What getSources learnt about the extracted scripts, needed by the later stages
+export const serializeScripts = ctx => ({
+  scriptNameToUrl: ctx.scriptNameToUrl,
+  // Sets of page domains are stored as arrays
+  scriptUrlToPageDomains: Object.fromEntries(
+    Object.entries(ctx.scriptUrlToPageDomains).map(([url, domains]) => [url, [...domains]])
+  ),
+  scriptUrlToMatches: ctx.scriptUrlToMatches,
+  scriptUrlAliases: ctx.scriptUrlAliases,
+  pageScripts: ctx.pageScripts,
+  scriptTrees: ctx.scriptTrees,
+  selection: ctx.selection,
+});
+
+export const restoreScripts = (ctx, scripts) => {
+  Object.assign(ctx.scriptNameToUrl, scripts.scriptNameToUrl);
+  Object.entries(scripts.scriptUrlToPageDomains).forEach(([url, domains]) => {
+    ctx.scriptUrlToPageDomains[url] = new Set(domains);
+  });
+  Object.assign(ctx.scriptUrlToMatches, scripts.scriptUrlToMatches);
+  Object.assign(ctx.scriptUrlAliases, scripts.scriptUrlAliases);
+  Object.assign(ctx.pageScripts, scripts.pageScripts || {});
+  ctx.scriptTrees.push(...(scripts.scriptTrees || []));
+  ctx.selection = scripts.selection || null;
+};
@@ -0,0 +1,68 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { packageDir } from './utils.js';
+import { resolvePolicy, readPolicyConfig } from './policy.js';
+import { builtinRecipesDir } from './recipes.js';
+import { runProcess } from './process.js';
+
+export const massageConfig = async (ctx, graphsDirs) => {
+  const {
+    logger,
+    scriptsDir,
+    traceFile,
+    reportFile,
+    rulesFile,
+    resourcesFile,
+    massagedConfigJsonFile,
+    scriptNameToUrl,
+  } = ctx;
+  logger.debug('Creating config.json for sugarcoat...');
+  let config = await readPolicyConfig(ctx);
+  const policyConfig = { policy: config.policy, overrides: config.overrides };
+  config.graphs = graphsDirs.map(graphsDir => path.join(graphsDir, '/*.graphml'));
+  config.code = scriptsDir;
+  config.trace = traceFile;
+  config.report = reportFile;
+  const bundle = {
+    rules: rulesFile,
+    resources: resourcesFile,
+  };
+  config.bundle = bundle;
+  // Recipes for the APIs of the policy that sugarcoat doesn't know about
+  if (ctx.recipesDirs.length > 0) {
+    config.recipes = [builtinRecipesDir, ...ctx.recipesDirs];
+  }
+  config.targets = {};
+  delete config.policy;
+  delete config.overrides;
+  const files = await fs.readdir(scriptsDir);
+  files.forEach(file => {
+    const targetKey = path.basename(file, '.js');
+    let newObj = {};
+    newObj.patterns = [scriptNameToUrl[targetKey]];
+    newObj.policy = resolvePolicy(policyConfig, scriptNameToUrl[targetKey]);
+    logger.debug(`Policy for ${targetKey} (${scriptNameToUrl[targetKey]}):`, newObj.policy);
+    config.targets[targetKey] = newObj;
+  });
+  logger.debug('Writing massaged config.json... ');
+  await fs.writeFile(massagedConfigJsonFile, JSON.stringify(config), { recursive: true });
+  return config;
+};
+
+export const runSugarCoat = async ctx => {
+  const { logger, massagedConfigJsonFile, timeout } = ctx;
+  const args = [
+    path.join(packageDir, 'node_modules', 'sugarcoat', 'cli.js'),
+    '--config',
+    massagedConfigJsonFile,
+    '--ingest',
+    '--report',
+    '--rewrite',
+    '--bundle',
+  ];
+  // sugarcoat takes as long as the scripts need, it only gets a timeout if one is set
+  await runProcess(ctx, process.execPath, args, { timeout: (timeout || 0) * 1000 });
+  logger.debug('Sugarcoat command finished running!');
+  // tweakRules rewrites the rules file, keep sugarcoat's version so bundling can be rerun
+  await fs.copyFile(ctx.rulesFile, ctx.rawRulesFile);
+};
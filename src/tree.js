@@ -0,0 +1,160 @@
+import { promises as fs } from 'fs';
+
+/**
+ * Which scripts of a script inclusion tree get sugarcoated: every one ('all'), only the
+ * script of the picked request ('root'), or only the scripts that load no other script
+ * ('leaves'), e.g. scevent rather than script1 or script2 when script1 loads script2, which
+ * loads scevent.
+ */
+export const treeScriptModes = ['all', 'root', 'leaves'];
+
+/**
+ * Script inclusion tree of a request tree (see requestTree in graphml.js), keeping only the
+ * root request and the requests that loaded a script. A script pulled in through a request
+ * that loaded none (e.g. a fetch whose response was evaluated) hangs from its nearest script
+ * ancestor, or from the root. scriptUrls maps request ids to the URL of their script,
+ * filters maps request ids, as strings, to the adblock_rules request of the filter list
+ * (url, blocking_filter and exception_filter). Nodes are { requestId, url, script,
+ * blockingFilter, exceptionFilter, children }, script being false for a root request that
+ * did not load a script. null if no request of the tree loaded a script.
+ */
+export const buildScriptTree = (requestTree, scriptUrls, filters = new Map()) => {
+  if (!requestTree.some(({ requestId }) => scriptUrls.has(requestId))) return null;
+  const nodes = new Map();
+  const parents = new Map(
+    requestTree.map(({ requestId, parentRequestId }) => [requestId, parentRequestId])
+  );
+  // Parents come before their children in request trees
+  requestTree
+    .filter(({ requestId }, index) => index == 0 || scriptUrls.has(requestId))
+    .forEach(({ requestId, parentRequestId }) => {
+      const request = filters.get(String(requestId)) || {};
+      const node = {
+        requestId,
+        url: scriptUrls.get(requestId) || request.url || null,
+        script: scriptUrls.has(requestId),
+        blockingFilter: request.blocking_filter || null,
+        exceptionFilter: request.exception_filter || null,
+        children: [],
+      };
+      nodes.set(requestId, node);
+      let parentId = parentRequestId;
+      while (parentId !== null && parentId !== undefined && !nodes.has(parentId)) {
+        parentId = parents.get(parentId);
+      }
+      if (nodes.has(parentId)) nodes.get(parentId).children.push(node);
+    });
+  return nodes.get(requestTree[0].requestId);
+};
+
+const treeNodes = node => (node ? [node, ...node.children.flatMap(treeNodes)] : []);
+
+// Request ids of the scripts of a script tree to extract, according to mode. When the root
+// request loaded no script, the scripts it pulled in directly stand for it in 'root' mode.
+export const selectTreeScripts = (root, mode) => {
+  if (!treeScriptModes.includes(mode)) {
+    throw new Error(`Unknown tree scripts mode ${mode}, must be one of ${treeScriptModes}`);
+  }
+  if (!root) return [];
+  if (mode === 'root') {
+    return (root.script ? [root] : root.children).map(node => node.requestId);
+  }
+  const nodes = treeNodes(root).filter(node => node.script);
+  return (mode === 'leaves' ? nodes.filter(node => node.children.length == 0) : nodes).map(
+    node => node.requestId
+  );
+};
+
+// Sugarcoated script of each URL, aliases included, from the entries of the manifest
+const entriesByUrl = entries =>
+  new Map(
+    entries.flatMap(entry => [
+      [entry.originalUrl, entry],
+      ...(entry.aliases || []).map(alias => [alias, entry]),
+    ])
+  );
+
+const annotateNode = (node, frame, byUrl) => {
+  const entry = byUrl.get(node.url);
+  return {
+    url: node.url,
+    requestId: node.requestId,
+    script: node.script,
+    frame: frame ? frame.url || null : null,
+    blockingFilter: node.blockingFilter,
+    exceptionFilter: node.exceptionFilter,
+    sugarcoated: !!entry,
+    name: entry ? entry.name : null,
+    resource: entry ? entry.resource : null,
+    children: node.children.map(child => annotateNode(child, frame, byUrl)),
+  };
+};
+
+/**
+ * The script trees kept by getSources, each node annotated with the frame it was loaded in,
+ * and with whether it was sugarcoated and under which name and resource, from the entries
+ * of the manifest (see collectManifestEntries).
+ */
+export const annotateScriptTrees = (ctx, entries) => {
+  const byUrl = entriesByUrl(entries);
+  return {
+    treeScripts: ctx.treeScripts,
+    trees: ctx.scriptTrees.map(({ pageUrl, frame, graphFile, filterList, reason, root }) => ({
+      pageUrl,
+      frame,
+      graphFile,
+      filterList,
+      reason,
+      root: annotateNode(root, frame, byUrl),
+    })),
+  };
+};
+
+// Quoted DOT string, with line breaks
+const dotString = value =>
+  `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+/**
+ * Graphviz DOT graph of annotated script trees (see annotateScriptTrees): one page node per
+ * tree, pointing to the root script, sugarcoated scripts being filled in.
+ */
+export const formatScriptTreeDot = ({ trees }) => {
+  const lines = ['digraph scripts {', '  rankdir=LR;', '  node [shape=box];'];
+  trees.forEach((tree, index) => {
+    const pageId = `tree${index}`;
+    lines.push(
+      `  ${pageId} [shape=ellipse, label=${dotString(`${tree.pageUrl}\n${tree.filterList}`)}];`
+    );
+    const addNode = (node, parentId) => {
+      const id = `${pageId}_${node.requestId}`;
+      const label = [
+        node.url,
+        ...(node.frame ? [`frame: ${node.frame}`] : []),
+        ...(node.blockingFilter ? [`blocked by ${node.blockingFilter}`] : []),
+        ...(node.exceptionFilter ? [`excepted by ${node.exceptionFilter}`] : []),
+        ...(node.script ? [] : ['not a script']),
+        node.sugarcoated ? `sugarcoated as ${node.resource || node.name}` : 'not sugarcoated',
+      ].join('\n');
+      const style = node.sugarcoated ? ', style=filled, fillcolor="#c8e6c9"' : '';
+      lines.push(`  ${id} [label=${dotString(label)}${style}];`);
+      lines.push(`  ${parentId} -> ${id};`);
+      node.children.forEach(child => addNode(child, id));
+    };
+    addNode(tree.root, pageId);
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Write the script inclusion trees, annotated from the manifest entries, to scriptTreeFile
+ * as JSON and to scriptTreeDotFile as Graphviz DOT. Resolves to the annotated trees.
+ */
+export const writeScriptTrees = async (ctx, entries) => {
+  const { logger, scriptTreeFile, scriptTreeDotFile } = ctx;
+  const annotated = annotateScriptTrees(ctx, entries);
+  logger.debug(`Writing ${annotated.trees.length} script trees to ${scriptTreeFile}`);
+  await fs.writeFile(scriptTreeFile, JSON.stringify(annotated, null, 2) + '\n');
+  await fs.writeFile(scriptTreeDotFile, formatScriptTreeDot(annotated));
+  return annotated;
+};
@@ -0,0 +1,63 @@
+// Drop the given query parameters ('*' for the whole query string) and the fragment, and
+// sort the remaining parameters, so cache-busting variants of a script URL compare equal
+export const normalizeUrl = (url, ignoreQueryParams = []) => {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (err) {
+    return url;
+  }
+  parsedUrl.hash = '';
+  if (ignoreQueryParams.includes('*')) {
+    parsedUrl.search = '';
+  } else {
+    ignoreQueryParams.forEach(param => parsedUrl.searchParams.delete(param));
+    parsedUrl.searchParams.sort();
+  }
+  return parsedUrl.href;
+};
+
+// Path segments like 1.2.3, v2, 3.4.1-beta, 1.0.0-rc.1 or a hex build hash of at least 12
+// digits, not words like 5.min or cafebabe
+const versionSegment = /^((v\d+|\d+)(\.\d+)*([-+][0-9a-z]+(\.[0-9a-z]+)*)?|(?=[a-f]*\d)[0-9a-f]{12,})$/i;
+
+export const isVersionSegment = segment => versionSegment.test(segment);
+
+// ||host/a/1.2/b.js gives ||host/a/*/b.js. The host and the file name are never versions.
+const versionShape = urlPattern => {
+  const segments = urlPattern.split('/');
+  return segments
+    .map((segment, index) =>
+      index > 0 && index < segments.length - 1 && isVersionSegment(segment) ? '*' : segment
+    )
+    .join('/');
+};
+
+// Map each of the given rule URL patterns (||host/path) to a wildcard pattern covering the
+// patterns that only differ from it by version segments: ||cdn.com/lib/1.2/a.js and
+// ||cdn.com/lib/1.3/a.js both map to ||cdn.com/lib/*/a.js. resourceOf gives the resource a
+// pattern redirects to: versions are only merged when they all redirect to the same one, as
+// a wildcard rule can only have one. Patterns without such siblings are kept as they are.
+export const wildcardVersions = (urlPatterns, resourceOf = () => null) => {
+  const groups = new Map();
+  urlPatterns.forEach(urlPattern => {
+    const shape = versionShape(urlPattern);
+    if (!groups.has(shape)) groups.set(shape, new Set());
+    groups.get(shape).add(urlPattern);
+  });
+  const wildcards = new Map();
+  groups.forEach(group => {
+    const patterns = [...group];
+    if (new Set(patterns.map(resourceOf)).size > 1) {
+      patterns.forEach(urlPattern => wildcards.set(urlPattern, urlPattern));
+      return;
+    }
+    const segments = patterns.map(urlPattern => urlPattern.split('/'));
+    // Only the segments that differ become wildcards
+    const wildcard = segments[0]
+      .map((segment, index) => (segments.every(other => other[index] === segment) ? segment : '*'))
+      .join('/');
+    patterns.forEach(urlPattern => wildcards.set(urlPattern, wildcard));
+  });
+  return wildcards;
+};
@@ -0,0 +1,46 @@
+import { promises as fs, constants } from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import psl from 'psl';
+
+// Root of this package, used to find node_modules and pagegraph-cli regardless of cwd
+export const packageDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const checkFileExistence = async file => {
+  return fs.access(file, constants.F_OK);
+};
+
+export const readGraphFiles = async graphsDir => {
+  const files = await fs.readdir(graphsDir);
+  return files.filter(file => path.extname(file).toLowerCase() === '.graphml');
+};
+
+export const readUrlFile = async file => {
+  const contents = await fs.readFile(file, 'UTF-8');
+  return contents
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+};
+
+export const getHash = content => crypto.createHash('sha1').update(content).digest('hex');
+
+export const getHashOfFile = async filename => {
+  const file = await fs.readFile(filename, 'UTF-8');
+  return getHash(file);
+};
+
+// Registrable domain of a URL (with its port if getPort is set), its host if it has none
+export const domainOrHost = (url, getPort) => {
+  let host;
+  if (getPort) {
+    host = new URL(url).host;
+  } else {
+    host = new URL(url).hostname;
+  }
+  let domain = psl.get(host);
+  return !domain ? host : domain;
+};
+
+export const getDomainOrHost = async (url, getPort) => domainOrHost(url, getPort);
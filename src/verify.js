@@ -0,0 +1,286 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import vm from 'vm';
+import { readResources, toBraveResources } from './formats.js';
+import { loadAllRecipes } from './recipes.js';
+
+const sandboxTimeoutMs = 1000;
+const maxTimerCallbacks = 100;
+
+// Thrown by verifyScripts, whose report explains what failed
+export class VerificationError extends Error {
+  constructor(problems, report) {
+    super(`Verification failed:\n  ${problems.join('\n  ')}`);
+    this.report = report;
+  }
+}
+
+export const parseScript = (source, filename) => {
+  try {
+    new vm.Script(source, { filename });
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+// Runs in the sandbox, before the script, see runInSandbox. Everything the script can reach
+// is created here, in the realm of the sandbox: a function or object of Node's realm would
+// let it get to Node's Function constructor, and from there to process. Builds a stub DOM
+// where each API of the policy records when the real object is touched, accesses that go
+// through sugarcoat's mocks never reaching these, and defines __sugarcoatVerifyRun, which
+// runs a script, then what the page would have run after it (load listeners and timers),
+// and returns the APIs reached and the error thrown as JSON.
+function installSandbox(apis, maxTimerCallbacks) {
+  var global = globalThis;
+  var stringify = JSON.stringify;
+  var evaluate = eval;
+  var realAccesses = [];
+  var listeners = [];
+  var timers = [];
+  // Permissive stand-in for any DOM object: every property, call and construction gives
+  // back another stub, so scripts run as far as possible without a real browser
+  var stub = new Proxy(function () {}, {
+    get: function (target, prop) {
+      if (prop === 'then') return undefined; // awaiting a stub shouldn't hang
+      if (prop === Symbol.toPrimitive) {
+        return function () {
+          return '';
+        };
+      }
+      if (prop === Symbol.iterator) {
+        return function () {
+          return [][Symbol.iterator]();
+        };
+      }
+      return stub;
+    },
+    set: function () {
+      return true;
+    },
+    apply: function () {
+      return stub;
+    },
+    construct: function () {
+      return stub;
+    },
+  });
+  // Instances of an interface fall back to stubs for everything its prototype doesn't define
+  var createInstance = function (prototype) {
+    return new Proxy(Object.create(prototype), {
+      get: function (target, prop, receiver) {
+        return prop in target ? Reflect.get(target, prop, receiver) : stub;
+      },
+    });
+  };
+  ['console', 'location', 'screen', 'history', 'performance', 'Image'].forEach(function (name) {
+    global[name] = stub;
+  });
+  global.addEventListener = function (type, listener) {
+    listeners.push(listener);
+  };
+  global.setTimeout = global.setInterval = function (callback) {
+    timers.push(callback);
+  };
+  global.removeEventListener = global.clearTimeout = global.clearInterval = function () {};
+  global.window = global;
+  global.self = global;
+  var getInterface = function (name) {
+    if (typeof global[name] !== 'function') global[name] = function () {};
+    return global[name];
+  };
+  ['Document', 'Navigator', 'Storage'].forEach(getInterface);
+  apis.forEach(function (api) {
+    var target = api.sourceObject[0] === 'window' ? global : getInterface(api.sourceObject[0]);
+    api.sourceObject.slice(1).forEach(function (prop) {
+      target = target[prop];
+    });
+    Object.defineProperty(target, api.sourceProperty, {
+      configurable: true,
+      get: function () {
+        realAccesses.push(api.name);
+        return stub;
+      },
+      set: function () {
+        realAccesses.push(api.name);
+      },
+    });
+  });
+  ['localStorage', 'sessionStorage', 'fetch', 'XMLHttpRequest'].forEach(function (name) {
+    if (!(name in global)) global[name] = stub;
+  });
+  global.document = createInstance(getInterface('Document').prototype);
+  global.navigator = createInstance(getInterface('Navigator').prototype);
+  global.__sugarcoatVerifyRun = function (source) {
+    var error = null;
+    try {
+      evaluate(source);
+      var callbacks = [global.onload].concat(listeners);
+      for (var i = 0; i < maxTimerCallbacks && timers.length > 0; i++) {
+        callbacks.push(timers.shift());
+      }
+      callbacks.forEach(function (callback) {
+        if (typeof callback === 'function') callback();
+      });
+    } catch (err) {
+      try {
+        error = String(err && err.message !== undefined ? err.message : err);
+      } catch (_) {
+        error = 'Script threw an unprintable value';
+      }
+    }
+    return stringify({ realAccesses: realAccesses, error: error });
+  };
+}
+
+/**
+ * Policy APIs a script touches on the real (stubbed) objects when run, in a context whose
+ * global object has no prototype from Node's realm and where only values created in the
+ * context itself are reachable. The script, its load listeners and timers share one timeout.
+ */
+export const runInSandbox = (source, recipes, policyApis) => {
+  const apis = policyApis
+    .filter(api => recipes[api])
+    .map(api => ({
+      name: api,
+      sourceObject: recipes[api].sourceObject,
+      sourceProperty: recipes[api].sourceProperty,
+    }));
+  const context = vm.createContext(Object.create(null));
+  let result;
+  try {
+    vm.runInContext(
+      `(${installSandbox})(${JSON.stringify(apis)}, ${maxTimerCallbacks});`,
+      context
+    );
+    result = vm.runInContext(`__sugarcoatVerifyRun(${JSON.stringify(source)})`, context, {
+      timeout: sandboxTimeoutMs,
+    });
+  } catch (err) {
+    // Only errors of Node's realm get here, such as the timeout
+    return { realAccesses: [], error: err.message };
+  }
+  // Anything but the string __sugarcoatVerifyRun returns is left alone, reading it could run
+  // code of the script outside of the timeout
+  if (typeof result !== 'string') {
+    return { realAccesses: [], error: 'Script replaced the sandbox runner' };
+  }
+  const { realAccesses, error } = JSON.parse(result);
+  return { realAccesses: [...new Set(realAccesses)].sort(), error };
+};
+
+// The document a script was requested from: its frame when it was loaded in a subframe and
+// rules are scoped to frames, the crawled page otherwise
+const requestingUrl = (ctx, { pageUrl, frame }) =>
+  frame && !frame.isRoot && frame.url && ctx.frameDomains !== 'top' ? frame.url : pageUrl;
+
+// Check that each original script URL, requested as a script from the crawled page (or its
+// frame), is redirected to its sugarcoat-<hash> resource by the generated rules
+const checkRedirects = async (ctx, entries, redirects) => {
+  const { default: adblock } = await import('adblock-rs');
+  const rules = (await fs.readFile(ctx.rulesFile, 'UTF-8')).split(/\r?\n/);
+  const filterSet = new adblock.FilterSet(true);
+  filterSet.addFilters(rules);
+  const engine = new adblock.Engine(filterSet, true);
+  const resources = toBraveResources(await readResources(ctx.sugarcoatedScriptsDir, redirects));
+  engine.useResources(resources);
+  const results = {};
+  entries.forEach(({ name, originalUrl, matches, resource, injection }) => {
+    // Page scripts are injected by scriptlets, there is nothing to redirect
+    if (injection === 'scriptlet') {
+      results[name] = [];
+      return;
+    }
+    const expected = resources.find(({ name }) => name === resource);
+    const pageUrls = [...new Set(matches.map(match => requestingUrl(ctx, match)))];
+    results[name] = pageUrls.map(pageUrl => {
+      const result = engine.check(originalUrl, pageUrl, 'script', true);
+      const expectedRedirect = `data:${expected.kind.mime};base64,${expected.content}`;
+      return {
+        pageUrl,
+        filter: result.filter || null,
+        redirected: !!result.matched && result.redirect === expectedRedirect,
+      };
+    });
+  });
+  return results;
+};
+
+/**
+ * Verify the generated scripts and rules: every original and generated script parses, every
+ * rule redirects its script to the right resource, and patched scripts only reach the APIs
+ * of their policy through the mocks. For inline and evaluated scripts, the patched version
+ * their scriptlet embeds is checked too. Writes verify.json and throws a VerificationError
+ * if anything failed. An original script reaching none of its policy APIs, as scripts
+ * waiting for events or responses the sandbox never sends do, is only a warning.
+ */
+export const verifyScripts = async (ctx, entries, redirects) => {
+  const { logger, scriptsDir, verifyReportFile } = ctx;
+  const recipes = await loadAllRecipes(ctx);
+  const redirectResults = await checkRedirects(ctx, entries, redirects);
+  const problems = [];
+  const warnings = [];
+  const scripts = await Promise.all(
+    entries.map(async entry => {
+      const { name, sugarcoatedScript, policyApis } = entry;
+      const originalFile = path.join(scriptsDir, `${name}.js`);
+      const original = await fs.readFile(originalFile, 'UTF-8');
+      const sugarcoated = await fs.readFile(sugarcoatedScript, 'UTF-8');
+      const parseErrors = {
+        original: parseScript(original, originalFile),
+        sugarcoated: parseScript(sugarcoated, sugarcoatedScript),
+      };
+      // The scriptlet of a page script embeds its patched version, which is what gets run
+      const patchedFile = path.join(scriptsDir, `sugarcoat-${name}.js`);
+      const patched =
+        entry.injection === 'scriptlet' ? await fs.readFile(patchedFile, 'UTF-8') : sugarcoated;
+      if (entry.injection === 'scriptlet') {
+        parseErrors.patched = parseScript(patched, patchedFile);
+      }
+      Object.entries(parseErrors)
+        .filter(([, error]) => error)
+        .forEach(([kind, error]) =>
+          problems.push(`${name}: ${kind} script fails to parse: ${error}`)
+        );
+      redirectResults[name]
+        .filter(({ redirected }) => !redirected)
+        .forEach(({ pageUrl }) =>
+          problems.push(
+            `${name}: ${entry.originalUrl} isn't redirected to ${entry.resource} on ${pageUrl}`
+          )
+        );
+      const originalRun = runInSandbox(original, recipes, policyApis);
+      const sugarcoatedRun = runInSandbox(patched, recipes, policyApis);
+      // Without the original touching any policy API, the sugarcoated run proves nothing
+      if (policyApis.length > 0 && originalRun.realAccesses.length == 0) {
+        const warning =
+          `${name}: original script reaches none of its policy APIs in the sandbox, ` +
+          `patched accesses can't be checked`;
+        logger.warn(warning);
+        warnings.push(warning);
+      }
+      sugarcoatedRun.realAccesses.forEach(api =>
+        problems.push(`${name}: sugarcoated script still accesses the real ${api}`)
+      );
+      const scriptProblems = problems.filter(problem => problem.startsWith(`${name}: `));
+      logger.event({
+        type: 'script',
+        name,
+        status: scriptProblems.length > 0 ? 'failed' : 'finished',
+        stage: 'verify',
+        ...(scriptProblems.length > 0 ? { error: scriptProblems.join('; ') } : {}),
+      });
+      return {
+        name,
+        parseErrors,
+        redirects: redirectResults[name],
+        sandbox: { original: originalRun, sugarcoated: sugarcoatedRun },
+      };
+    })
+  );
+  const report = { ok: problems.length == 0, problems, warnings, scripts };
+  await fs.writeFile(verifyReportFile, JSON.stringify(report, null, 2));
+  logger.debug(`Verification report written to ${verifyReportFile}`);
+  if (problems.length > 0) throw new VerificationError(problems, report);
+  return report;
+};
@@ -1,477 +1,412 @@
 #!/usr/bin/env node
 
-import { exec, execFile } from 'child_process';
-import { promises as fs, constants } from 'fs';
 import argparseLib from 'argparse';
-import * as path from 'path';
-import { promisify } from 'util';
-import globby from 'globby';
-import unusedFilename from 'unused-filename';
-import uglify from 'uglify-js';
-import crypto from 'crypto';
-import psl from 'psl';
-import os from 'os';
+import {
+  runCommand,
+  commands,
+  loadSettings,
+  defaultConfigFile,
+  logLevels,
+  logFormats,
+  formatExplanation,
+  formatStaleRules,
+  formatRecipes,
+  presetNames,
+  defaultListTitle,
+  defaultListExpires,
+  defaultListHomepage,
+  defaultListLicense,
+  selectStrategies,
+  defaultSelect,
+  frameDomainModes,
+  treeScriptModes,
+  backends,
+  formats,
+  defaultCrawlSecs,
+  defaultOutputDir,
+  defaultRetries,
+  defaultMaxPages,
+  defaultConcurrency,
+  defaultBackoffSecs,
+  defaultPort,
+  defaultHost,
+  defaultWorkers,
+  defaultMaxUploadMb,
+} from './src/index.js';
 
-const execAsync = promisify(exec);
-const execFileAsync = promisify(execFile);
+const cliDefaultPolicyJson = 'policy.json';
 
-const defaultCrawlSecs = 30;
-const defaultPolicyJson = 'policy.json';
-const defaultOutputDir = 'output';
-const defaultRetries = 5;
+// Settings left out of the command line come from the config file or the SUGARCOAT_*
+// variables (see loadSettings), so options don't default to anything here
 
 // Parser options
 const parser = new argparseLib.ArgumentParser({
   add_help: true,
   description: 'SugarCoat pipeline CLI',
 });
+parser.add_argument('command', {
+  help:
+    'Stage to run: crawl (record graphs), extract (get scripts from graphs), patch (run' +
+    ' sugarcoat), bundle (generate rules and resources), or all of them. Each stage reads' +
+    ' what the previous one left in the output directory. check compares the scripts of a' +
+    ' previous run in the output directory with fresh graphs (by default of the same pages)' +
+    ' and reports the rules to regenerate. recipes lists the recipes of the policy APIs' +
+    ' (recipes list) or writes a new one (recipes new <Interface#member> <mock>). serve starts' +
+    ' an HTTP service running the pipeline for the jobs posted to it. Default: all',
+  nargs: '?',
+  choices: commands,
+  default: 'all',
+});
+parser.add_argument('command_args', {
+  help: 'Arguments of the recipes command',
+  metavar: 'ARGS',
+  nargs: '*',
+  default: [],
+});
+parser.add_argument('--config', {
+  help:
+    `Path to a JSON file of settings, named like the options of runPipeline (e.g. filterLists).` +
+    ` Default: ${defaultConfigFile} in the current directory, if there is one`,
+});
 parser.add_argument('-b', '--binary', {
   help: 'Path to the PageGraph-enabled build of Brave',
 });
 parser.add_argument('-u', '--url', {
-  help: 'The URL to record.',
+  help: 'The URL(s) to record. Can be given multiple times to sugarcoat several sites in one run.',
+  action: 'extend',
+  nargs: '+',
+});
+parser.add_argument('--url-file', {
+  help: 'Path to a file with one URL to record per line. Lines starting with # are ignored.',
 });
 parser.add_argument('-t', '--secs', {
   help: `The dwell time in seconds. Default: ${defaultCrawlSecs} seconds`,
   type: 'int',
-  default: defaultCrawlSecs,
 });
 parser.add_argument('-d', '--debug', {
   help: `Print debugging information`,
   action: 'store_true',
-  default: false,
+  default: undefined,
+});
+parser.add_argument('--log-level', {
+  help:
+    'Least important messages printed: error, warn, info or debug (same as --debug).' +
+    ' Default: info',
+  choices: logLevels,
+});
+parser.add_argument('--log-format', {
+  help:
+    'text, or json to print one JSON object per line for every message and every stage,' +
+    ' crawl and script started, finished, skipped or failed, ending with a summary.' +
+    ' Default: text',
+  choices: logFormats,
 });
 parser.add_argument('-l', '--filter-lists', {
-  help: 'Filter lists to use',
-  required: true,
+  help: 'Filter lists to use. Required to extract scripts',
   nargs: '+',
 });
 parser.add_argument('-p', '--policy', {
-  help: `Path to policy file. Default: ${defaultPolicyJson}`,
-  default: defaultPolicyJson,
+  help: `Path to policy file. Default: ${cliDefaultPolicyJson}, unless --preset is given`,
+});
+parser.add_argument('--preset', {
+  help:
+    'Policy presets whose APIs are added to the policy (of the --policy file if given):' +
+    ' storage, network, fingerprinting or all of them',
+  choices: presetNames,
+  nargs: '+',
+});
+parser.add_argument('--recipes', {
+  help:
+    'Directories of recipes (<Interface#member>.json files) for the policy APIs, in addition' +
+    ' to the built-in ones in recipes/. New recipes are written to the first one',
+  nargs: '+',
 });
 parser.add_argument('-o', '--output', {
   help: `Path to output directory. All generated files go here. Default: ${defaultOutputDir}`,
-  default: defaultOutputDir,
 });
 parser.add_argument('-g', '--graphs-dir-override', {
-  help: 'Path to graphs directory. If set, skips PageGraph generation',
-  default: null,
+  help:
+    'Path to graphs directory. If set, skips PageGraph generation. When recording several URLs,' +
+    ' give one directory per URL, in the same order as the URLs',
+  nargs: '+',
 });
 parser.add_argument('-k', '--keep', {
   help: `Do not erase intermediary files generated in ${defaultOutputDir} for sugarcoat`,
   action: 'store_true',
+  default: undefined,
+});
+parser.add_argument('--resume', {
+  help:
+    'With the all command, continue an interrupted run from the first stage that did not' +
+    ' finish instead of starting over',
+  action: 'store_true',
   default: false,
 });
 parser.add_argument('-r', '--retries', {
-  help: `Number of times a URL is attempted to be re-crawled on failure. Default: ${defaultRetries}`,
+  help: `Number of times a URL is crawled before giving up. Default: ${defaultRetries}`,
+  type: 'int',
+});
+parser.add_argument('--retry-backoff', {
+  help:
+    'Seconds to wait before crawling a URL again after a failed crawl, doubled at each new' +
+    ` attempt. Default: ${defaultBackoffSecs}`,
+  type: 'int',
+});
+parser.add_argument('--concurrency', {
+  help:
+    'Maximum number of processes (crawls, pagegraph-cli queries) run at once.' +
+    ` Default: ${defaultConcurrency}`,
+  type: 'int',
+});
+parser.add_argument('--timeout', {
+  help:
+    'Seconds after which a crawl, pagegraph-cli or sugarcoat process is killed. Default: the' +
+    ' dwell time plus two minutes for crawls, two minutes for pagegraph-cli, none for sugarcoat',
+  type: 'int',
+});
+parser.add_argument('--crawl-depth', {
+  help:
+    'Also crawl the same-site pages linked from each URL (anchors and navigations of the' +
+    ' root frame), up to this many links away. Default: 0',
+  type: 'int',
+});
+parser.add_argument('--max-pages', {
+  help: `Maximum number of pages crawled per URL with --crawl-depth. Default: ${defaultMaxPages}`,
   type: 'int',
-  default: defaultRetries,
 });
 parser.add_argument('-m', '--no-minify', {
   help: `Do not minify generated SugarCoat script.`,
   action: 'store_true',
-  default: false,
+  default: undefined,
 });
 parser.add_argument('-s', '--keep-original-script-name', {
   help: `Keep original script name instead of setting it to be hash of contents.`,
   action: 'store_true',
-  default: false,
+  default: undefined,
+});
+parser.add_argument('--frame-domains', {
+  help:
+    'Page domains of the rules for scripts loaded in a subframe: those of the frame and of' +
+    ' the page (both), of the frame (frame) or of the page (top). Default: both',
+  choices: frameDomainModes,
+});
+parser.add_argument('--tree-scripts', {
+  help:
+    'Scripts to sugarcoat among a picked script and the scripts it loads: all of them (all),' +
+    ' only the picked one (root) or only those loading no other script (leaves). Default: all',
+  choices: treeScriptModes,
+});
+parser.add_argument('--ignore-query-params', {
+  help:
+    'Query parameters (e.g. cache busters) to ignore when comparing script URLs, * for the' +
+    ' whole query string. Scripts with the same URL or content share one sugarcoated script',
+  nargs: '+',
+});
+parser.add_argument('--wildcard-versions', {
+  help:
+    'Write one rule with a * path segment for URLs of a script that only differ by version' +
+    ' segments, e.g. ||cdn.example.com/lib/*/analytics.js',
+  action: 'store_true',
+  default: undefined,
+});
+parser.add_argument('--eval-scriptlets', {
+  help:
+    'Also patch code compiled by new Function in picked scripts, with scriptlet rules' +
+    ' wrapping Function on the page domains. Code evaluated with eval is left as it is',
+  action: 'store_true',
+  default: undefined,
+});
+parser.add_argument('--select', {
+  help:
+    'How scripts to sugarcoat are picked, a script being picked if any strategy picks it:' +
+    ' blocked by a filter list but excepted (excepted), only blocked (blocked), third-party' +
+    ' to the page (third-party), matching a --select-pattern regex (pattern) or listed in' +
+    ` the --select-allowlist file (allowlist). Default: ${defaultSelect.join(' ')}`,
+  choices: selectStrategies,
+  nargs: '+',
+});
+parser.add_argument('--select-pattern', {
+  help: 'Regexes of the script URLs picked by the pattern strategy',
+  nargs: '+',
+});
+parser.add_argument('--select-allowlist', {
+  help:
+    'Path to a file of the script domains or URL patterns (* matching anything) picked by' +
+    ' the allowlist strategy, one per line. Lines starting with # are ignored.',
+});
+parser.add_argument('--merge-into', {
+  help:
+    'Path to a published rules file to merge the generated rules into, replacing its rules' +
+    ' for the same script URL and page domain. Needs --resources-dir',
+});
+parser.add_argument('--resources-dir', {
+  help:
+    'Path to the directory of the scripts of the --merge-into list. New scripts are copied' +
+    ' there and scripts no rule uses anymore are deleted',
+});
+parser.add_argument('--publish', {
+  help:
+    'Write the rules as a complete filter list, with an [Adblock Plus 2.0] header, sorted' +
+    ' rules and a checksum, and an index of the SHA-256 and SRI strings of the scripts',
+  action: 'store_true',
+  default: undefined,
+});
+parser.add_argument('--list-title', {
+  help: `Title of the published list. Default: ${defaultListTitle}`,
+});
+parser.add_argument('--list-version', {
+  help: 'Version of the published list. Default: the time of the run, e.g. 202110191230',
+});
+parser.add_argument('--list-expires', {
+  help: `How often the published list should be updated. Default: ${defaultListExpires}`,
+});
+parser.add_argument('--list-homepage', {
+  help: `Homepage of the published list. Default: ${defaultListHomepage}`,
+});
+parser.add_argument('--list-license', {
+  help: `License of the published list. Default: ${defaultListLicense}`,
+});
+parser.add_argument('--verify', {
+  help:
+    'Check that every script parses, that the rules redirect each script to its sugarcoated' +
+    ' version and that sugarcoated scripts only reach policy APIs through mocks',
+  action: 'store_true',
+  default: undefined,
+});
+parser.add_argument('--explain', {
+  help:
+    'Stop before sugarcoat and print, for every script request of every graph, which rules' +
+    ' matched and why the script was or was not picked, as a table (default) or as json',
+  nargs: '?',
+  const: 'table',
+  choices: ['table', 'json'],
+  default: null,
+});
+parser.add_argument('--format', {
+  help:
+    'Extra outputs for other blockers: Brave adblock-rust resources (brave), uBlock Origin' +
+    ' resources (ubo) and Chrome MV3 declarativeNetRequest rules with packaged scripts (dnr)',
+  choices: formats,
+  nargs: '+',
+});
+parser.add_argument('--host', {
+  help: `Address the serve command listens on. Default: ${defaultHost}`,
+});
+parser.add_argument('--port', {
+  help: `Port the serve command listens on. Default: ${defaultPort}`,
+  type: 'int',
+});
+parser.add_argument('--workers', {
+  help: `Number of jobs the serve command runs at once. Default: ${defaultWorkers}`,
+  type: 'int',
+});
+parser.add_argument('--max-upload-mb', {
+  help:
+    'Largest job, uploaded graphs and filter lists included, the serve command accepts in' +
+    ` megabytes. Default: ${defaultMaxUploadMb}`,
+  type: 'int',
+});
+parser.add_argument('--backend', {
+  help:
+    'How graphs are queried for scripts: in-process (js) or by spawning pagegraph-cli (cli).' +
+    ' Default: js',
+  choices: backends,
 });
 
 const args = parser.parse_args();
-const binary = args.binary;
-const crawlUrl = args.url;
-const policyJsonFile = args.policy;
-const filterlists = args.filter_lists;
-const debug = args.debug;
-const secs = args.secs;
-const keep = args.keep;
-const retries = args.retries;
-const graphsDirOverride = args.graphs_dir_override ? path.resolve(args.graphs_dir_override) : null;
-const minify = !args.no_minify;
-const useHashForName = !args.keep_original_script_name;
-// Directory paths
-const outputDir = path.resolve(args.output);
-const graphsDir = path.join(outputDir, '/graphs');
-const scriptsDir = path.join(outputDir, '/scripts');
-const sugarcoatedScriptsDir = path.join(outputDir, '/sugarcoat_scripts');
-// Generated SugarCoat files paths
-const massagedConfigJsonFile = path.join(outputDir, '/config.json');
-const traceFile = path.join(outputDir, '/sugarcoat_trace.json');
-const reportFile = path.join(outputDir, '/sugarcoat_report.html');
-const rulesFile = path.join(outputDir, '/sugarcoat_rules.txt');
-const resourcesFile = path.join(outputDir, '/sugarcoat_resources.json');
-
-let scriptNameToUrl = {}; // Used to get 'patterns' URL for each script
-let urlsSeen = new Set(); // We don't want to store duplicate scripts
 
-/**
- * Helper functions
- */
-const checkFileExistence = async file => {
-  return fs.access(file, constants.F_OK);
-};
-const readGraphFiles = async graphsDir => {
-  const files = await fs.readdir(graphsDir);
-  return files.filter(file => path.extname(file).toLowerCase() === '.graphml');
+// Settings of the command line, undefined for options not given
+const cliSettings = {
+  binary: args.binary,
+  urls: args.url,
+  urlFile: args.url_file,
+  secs: args.secs,
+  debug: args.debug,
+  logLevel: args.log_level,
+  logFormat: args.log_format,
+  filterLists: args.filter_lists,
+  policy: args.policy,
+  presets: args.preset,
+  recipes: args.recipes,
+  output: args.output,
+  graphsDirOverrides: args.graphs_dir_override,
+  keep: args.keep,
+  retries: args.retries,
+  retryBackoff: args.retry_backoff,
+  concurrency: args.concurrency,
+  timeout: args.timeout,
+  crawlDepth: args.crawl_depth,
+  maxPages: args.max_pages,
+  minify: args.no_minify ? false : undefined,
+  keepOriginalScriptName: args.keep_original_script_name,
+  frameDomains: args.frame_domains,
+  treeScripts: args.tree_scripts,
+  ignoreQueryParams: args.ignore_query_params,
+  wildcardVersions: args.wildcard_versions,
+  evalScriptlets: args.eval_scriptlets,
+  select: args.select,
+  selectPatterns: args.select_pattern,
+  selectAllowlist: args.select_allowlist,
+  mergeInto: args.merge_into,
+  resourcesDir: args.resources_dir,
+  publish: args.publish,
+  listTitle: args.list_title,
+  listVersion: args.list_version,
+  listExpires: args.list_expires,
+  listHomepage: args.list_homepage,
+  listLicense: args.list_license,
+  verify: args.verify,
+  formats: args.format,
+  backend: args.backend,
+  host: args.host,
+  port: args.port,
+  workers: args.workers,
+  maxUploadMb: args.max_upload_mb,
 };
 
 /**
- * Pipeline functions
+ * Run pipeline
  */
-
-// Always clean up at start
-const preCheckAndClean = async () => {
-  // Check if policy + filterlist files exist
-  await Promise.all(
-    [...filterlists, policyJsonFile].map(async file => checkFileExistence(file))
-  ).catch(err => {
-    const errMsg = err.path + ' not found!';
-    throw new Error(errMsg);
-  });
-  debug && console.debug('Cleaning up generated directories...');
-  // clean sugarcoated_scripts, scripts, config.json, report, resources, rules, trace
-  await Promise.all([
-    ...[traceFile, reportFile, resourcesFile, massagedConfigJsonFile, rulesFile].map(
-      async file => {
-        fs.unlink(file).catch(_ => {
-          return;
-        });
-      }
-    ),
-    ...[sugarcoatedScriptsDir, scriptsDir].map(async dir =>
-      fs.rm(dir, { force: true, recursive: true })
-    ),
-  ]);
-  // and if not graphs dir override then graphs too
-  if (graphsDirOverride !== graphsDir) {
-    await fs.rm(graphsDir, { force: true, recursive: true });
-  }
-  // Check if outputDir exists. If yes, then leave it be. If no, create it.
-  await checkFileExistence(outputDir).catch(_ => fs.mkdir(outputDir, { recursive: true }));
-  // Create scripts and graphs dir
-  fs.mkdir(scriptsDir, { recursive: true });
-  if (!graphsDirOverride) fs.mkdir(graphsDir, { recursive: true });
-};
-
-const generateGraphs = async (graphsDir, readLocal, retriesLeft) => {
-  if (readLocal || retriesLeft == 0) {
-    // Graph files should exist at this point. If not, then error.
-    const graphFiles = await readGraphFiles(graphsDir);
-    if (graphFiles.length == 0) {
-      const errorMsg = `No files found in ${graphsDir} that end with .graphml, exiting`;
-      throw new Error(errorMsg);
+loadSettings({ cliSettings, configFile: args.config })
+  .then(settings =>
+    runCommand(args.command, {
+      ...settings,
+      policy:
+        settings.policy || ((settings.presets || []).length == 0 ? cliDefaultPolicyJson : null),
+      recipeArgs: args.command_args,
+      resume: args.resume,
+      explain: !!args.explain,
+      // JSON lines all go to stdout, to be parsed
+      log: (line, level) =>
+        settings.logFormat !== 'json' && ['error', 'warn'].includes(level)
+          ? console.error(line)
+          : console.log(line),
+    })
+  )
+  .then(({ crawls, explanation, scripts, recipes }) => {
+    if (args.command === 'check') {
+      console.log(formatStaleRules(scripts));
     }
-    if (!crawlUrl) {
-      const errorMsg = 'Must provide url (via --url)';
-      throw new Error(errorMsg);
+    if (recipes) {
+      console.log(formatRecipes(recipes));
     }
-    debug && console.debug(graphFiles);
-    debug && console.debug('Pagegraph-crawl done!');
-    return graphFiles;
-  }
-
-  if (!binary || !crawlUrl) {
-    errorMsg =
-      'Must provide path to PageGraph-enabled browser binary (via --binary)' +
-      ' and url (via --url) in order to record graphs';
-    throw new Error(errorMsg);
-  }
-  const cmd =
-    'node node_modules/pagegraph-crawl/built/run.js  --binary "' +
-    binary +
-    '" --secs ' +
-    secs +
-    ' --interactive' +
-    ' --shields down' +
-    ' --url ' +
-    crawlUrl +
-    ' --output ' +
-    graphsDir;
-  debug && console.debug('Running pagegraph-crawl with command: ' + cmd);
-  await execAsync(cmd);
-  // Graph files should exist at this point. If not, then retry.
-  const graphFiles = await readGraphFiles(graphsDir);
-  if (graphFiles.length == 0) {
-    debug && console.debug(`No files found in ${graphsDir} that end with .graphml, retrying...`);
-    return generateGraphs(graphsDir, readLocal, retriesLeft - 1);
-  }
-  debug && console.debug(graphFiles);
-  debug && console.debug('Pagegraph-crawl done!');
-  return graphFiles;
-};
-
-const getSources = async (graphFiles, graphsDir) => {
-  debug && console.debug('Running pagegraph-cli...');
-  // For each graph file in graphs (can be run independently)
-  await Promise.all(
-    graphFiles.map(async graphFile => {
-      const pagegraphBinary = path.resolve(
-        process.platform === 'win32' ? 'pagegraph-cli.exe' : 'pagegraph-cli'
-      );
-      const pagegraphBinaryArgs = ['-f', path.join(graphsDir, graphFile)];
-      const options = { windowsHide: false };
-      await Promise.all(
-        filterlists.map(async filterlist => {
-          const adblockArgs = [...pagegraphBinaryArgs, 'adblock_rules', '-l', filterlist];
-          let cmdOutput;
-          try {
-            cmdOutput = await execFileAsync(pagegraphBinary, adblockArgs, options);
-          } catch (err) {
-            return; // if there is a weirdly-shaped domain, don't error out
-          }
-          let jsonOutput = JSON.parse(cmdOutput.stdout);
-          const edges = jsonOutput
-            .flatMap(edge =>
-              edge.requests.map(request => {
-                if (request.blocking_filter && request.exception_filter) {
-                  return request.edge_id;
-                }
-              })
-            )
-            .filter(x => x); // to filter out nulls
-          // For each edge that corresponds to script, get downstream requests
-          const requests = (
-            await Promise.all(
-              edges.flatMap(async edge => {
-                const downstreamRequestsArgs = [
-                  ...pagegraphBinaryArgs,
-                  'downstream_requests',
-                  edge,
-                  '--requests',
-                ];
-                cmdOutput = await execFileAsync(pagegraphBinary, downstreamRequestsArgs, options);
-                jsonOutput = JSON.parse(cmdOutput.stdout);
-                debug &&
-                  console.log(
-                    'requests ' +
-                      jsonOutput +
-                      ' for edge ' +
-                      edge +
-                      ' for graph ' +
-                      graphFile +
-                      ' for list ' +
-                      filterlist
-                  );
-                return jsonOutput;
-              })
-            )
-          ).flat();
-
-          const uniqueRequests = [...new Set(requests)];
-          // For each request id, get the source and put into outputDir
-          await Promise.all(
-            uniqueRequests.map(async requestId => {
-              const requestIdInfoArgs = [...pagegraphBinaryArgs, 'request_id_info', requestId];
-              try {
-                cmdOutput = await execFileAsync(pagegraphBinary, requestIdInfoArgs, options);
-              } catch (err) {
-                return; // if request ID is not related to script, the rust binary returns error code
-              }
-              jsonOutput = JSON.parse(cmdOutput.stdout);
-              const origUrl = jsonOutput.url;
-              if (urlsSeen.has(origUrl)) {
-                return;
-              }
-              const parsedUrl = new URL(origUrl);
-              const pathName = parsedUrl.pathname;
-              let scriptName = path.basename(pathName, '.js');
-              if (scriptName === '') {
-                // We didn't get anything from pathname, just use hostname
-                scriptName = path.basename(parsedUrl.hostname);
-              }
-              let source = jsonOutput.source;
-              const scriptFilePath = path.join(scriptsDir, scriptName + '.js');
-              let unusedScriptFilename = await unusedFilename(scriptFilePath, {
-                incrementer: unusedFilename.separatorIncrementer('_'),
-              });
-              scriptNameToUrl[path.basename(unusedScriptFilename, '.js')] = origUrl;
-              fs.writeFile(unusedScriptFilename, source, { recursive: true });
-              urlsSeen.add(origUrl);
-            })
-          );
-        })
+    if (explanation) {
+      console.log(
+        args.explain === 'json'
+          ? JSON.stringify(explanation, null, 2)
+          : formatExplanation(explanation)
       );
-    })
-  );
-};
-
-const massageConfig = async graphs => {
-  debug && console.debug('Creating config.json for sugarcoat...');
-  const output = await fs.readFile(policyJsonFile, 'UTF-8');
-  let config = JSON.parse(output);
-  const policy = config.policy;
-  config.graphs = [path.join(graphs, '/*.graphml')];
-  config.code = scriptsDir;
-  config.trace = traceFile;
-  config.report = reportFile;
-  const bundle = {
-    rules: rulesFile,
-    resources: resourcesFile,
-  };
-  config.bundle = bundle;
-  config.targets = {};
-  delete config.policy;
-  const files = await fs.readdir(scriptsDir);
-  files.forEach(file => {
-    const targetKey = path.basename(file, '.js');
-    let newObj = {};
-    newObj.patterns = [scriptNameToUrl[targetKey]];
-    newObj.policy = policy;
-    config.targets[targetKey] = newObj;
+    }
+    if (crawls && crawls.length > 1) {
+      console.log('Batch summary:');
+      crawls.forEach(crawl => {
+        const pages = crawl.pages ? ` (${crawl.pages.length} pages)` : '';
+        const status = crawl.error ? `failed (${crawl.error.message})` : `succeeded${pages}`;
+        console.log(`  ${crawl.url}: ${status}`);
+      });
+    }
+  })
+  .catch(err => {
+    console.error(args.debug || args.log_level === 'debug' ? err.stack : err.message);
+    process.exitCode = 1;
   });
-  debug && console.debug('Writing massaged config.json... ');
-  await fs.writeFile(massagedConfigJsonFile, JSON.stringify(config), { recursive: true });
-};
-
-const runSugarCoat = async () => {
-  const cmd =
-    'node ' +
-    path.join('node_modules', 'sugarcoat', 'cli.js') +
-    ' --config ' +
-    massagedConfigJsonFile +
-    ' --ingest --report --rewrite --bundle';
-  debug && console.debug('Running sugarcoat with command: ' + cmd);
-  await execAsync(cmd);
-  debug && console.debug('Sugarcoat command finished running!');
-};
-
-const getHashOfFile = async filename => {
-  const file = await fs.readFile(filename, 'UTF-8');
-  const hash = crypto.createHash('sha1').update(file).digest('hex');
-  return hash;
-};
-
-const getDomainOrHost = async (url, getPort) => {
-  let host;
-  if (getPort) {
-    host = new URL(url).host;
-  } else {
-    host = new URL(url).hostname;
-  }
-  let domain = psl.get(host);
-  return !domain ? host : domain;
-};
-
-const tweakRules = async oldNamesToNewNames => {
-  debug && console.debug('Tweaking rules file');
-  const file = await fs.readFile(rulesFile, 'UTF-8');
-  const rules = file.toString().split(os.EOL);
-  const pageDomain = await getDomainOrHost(crawlUrl, false);
-  let newRules = [];
-
-  // Add name of crawl URL as first commented out rule
-  const urlComment = `! ${crawlUrl}${os.EOL}`;
-  newRules.push(urlComment);
-  // Now for all rules...
-  await Promise.all(
-    rules.map(async rule => {
-      // 1. Only use domain
-      const parts = rule.split('$');
-      if (!parts) {
-        newRules.push(rule);
-        return;
-      }
-      const scriptUrl = parts[0];
-      const filterOptions = parts[1];
-      const scriptUrlPath = new URL(scriptUrl).pathname;
-      const scriptDomain = await getDomainOrHost(scriptUrl, true);
-      const filterOptionsParts = filterOptions.split('redirect=');
-      let sugarcoatScriptName = filterOptionsParts[1];
-      const restOfFilterOptions = filterOptionsParts[0];
-      if (sugarcoatScriptName in oldNamesToNewNames) {
-        sugarcoatScriptName = oldNamesToNewNames[sugarcoatScriptName];
-      }
-      // 2. Change redirect=<scriptname> to be new scriptname
-      // if there is one (if we need to the hash of the contents as filename)
-      // 3. Add domain= option
-      const newOptions = `${restOfFilterOptions}domain=${pageDomain},redirect=${sugarcoatScriptName}`;
-      debug && console.debug(`New filter options are ${newOptions}`);
-      newRules.push(`||${scriptDomain}${scriptUrlPath}$${newOptions}${os.EOL}`);
-    })
-  );
-  // Write new rules file
-  fs.writeFile(rulesFile, newRules);
-};
-
-const postProcessing = async () => {
-  // Move generated scripts out of output/ and into sugarcoatedScriptsDir
-  const sugarcoatedScripts = await globby(path.join(scriptsDir, '/sugarcoat-*.js'));
-  await fs.mkdir(sugarcoatedScriptsDir, { recursive: true });
-  let oldNamesToNewNames = {};
-  await Promise.all(
-    sugarcoatedScripts.map(async sugarcoatedScript => {
-      let scriptName;
-      if (useHashForName) {
-        // Rename file to be hash of script contents
-        const hash = await getHashOfFile(sugarcoatedScript);
-        scriptName = `sugarcoat-${hash}`;
-        debug && console.debug(`New script name for ${sugarcoatedScript} is ${scriptName}`);
-        // The sugarcoat package generates the redirect option as $...redirect=filename without the .js extension
-        oldNamesToNewNames[path.basename(sugarcoatedScript).split('.js')[0]] = scriptName;
-      } else {
-        scriptName = path.basename(sugarcoatedScript);
-      }
-      fs.rename(sugarcoatedScript, path.join(sugarcoatedScriptsDir, scriptName));
-    })
-  );
-  debug && console.debug(oldNamesToNewNames);
-  await tweakRules(oldNamesToNewNames);
-
-  // Keep only essential files: rules.txt and sugarcoatedScriptsDir unless --keep
-  if (!keep) {
-    await fs.rm(scriptsDir, { recursive: true, force: true });
-    const filesToDelete = await globby(path.join(outputDir, '/**/*'), {
-      ignore: [path.join(outputDir, '/sugarcoat_rules.txt'), sugarcoatedScriptsDir],
-    });
-    await Promise.all(
-      filesToDelete.map(async file => {
-        fs.unlink(file);
-      })
-    );
-    if (!graphsDirOverride) fs.rm(graphsDir, { recursive: true, force: true });
-  }
-};
-
-const minifyScripts = async () => {
-  // Minify all scripts in sugarcoatedScriptsDir
-  const sugarcoatedScripts = await globby(path.join(sugarcoatedScriptsDir, '/sugarcoat-*.js'));
-  await Promise.all(
-    sugarcoatedScripts.map(async sugarcoatedScript => {
-      // Read in file
-      const src = await fs.readFile(sugarcoatedScript, 'UTF-8');
-      const minified = uglify.minify(src);
-      await fs.writeFile(sugarcoatedScript, minified.code);
-    })
-  );
-};
-
-/**
- * Run pipeline
- */
-(async () => {
-  console.log('Precheck and clean...');
-  await preCheckAndClean();
-  const graphsDirToUse = graphsDirOverride ? graphsDirOverride : graphsDir;
-  const readLocal = !!graphsDirOverride;
-  console.log('Generating graphs...');
-  const graphFiles = await generateGraphs(graphsDirToUse, readLocal, retries);
-  console.log('Getting scripts from graphs...');
-  await getSources(graphFiles, graphsDirToUse);
-  console.log('Running sugarcoat...');
-  await massageConfig(graphsDirToUse);
-  await runSugarCoat();
-  console.log('Post-processing...');
-  await postProcessing();
-  if (minify) {
-    console.log('Minifying scripts...');
-    await minifyScripts();
-  }
-  console.log('Done!');
-})().catch(err => {
-  console.error(err.message);
-  if (!keep) {
-    fs.rm(outputDir, { force: true, recursive: true });
-  }
-});
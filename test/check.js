@@ -0,0 +1,92 @@
+import { expect } from 'chai';
+import { findStaleRules, formatStaleRules } from '../src/index.js';
+
+describe('Stale rule check', () => {
+  const manifestScript = (name, originalUrl, originalSha1) => ({
+    name,
+    resource: `sugarcoat-${name}`,
+    originalUrl,
+    originalSha1,
+  });
+  const manifestScripts = [
+    manifestScript('same', 'https://cdn.com/same.js', 'aaa'),
+    manifestScript('changed', 'https://cdn.com/changed.js?v=1', 'bbb'),
+    manifestScript('renamed', 'https://cdn.com/v1/renamed.js', 'ccc'),
+    manifestScript('gone', 'https://cdn.com/gone.js', 'ddd'),
+  ];
+  const currentScripts = [
+    { url: 'https://cdn.com/same.js', sha1: 'aaa' },
+    { url: 'https://cdn.com/changed.js?v=2', sha1: 'eee' },
+    { url: 'https://cdn.com/v2/renamed.js', sha1: 'fff' },
+  ];
+
+  it('reports changed, moved and disappeared scripts', () => {
+    const scripts = findStaleRules(manifestScripts, currentScripts);
+    expect(
+      scripts.map(({ name, status, currentUrls }) => [name, status, currentUrls])
+    ).to.deep.equal([
+      ['same', 'unchanged', ['https://cdn.com/same.js']],
+      ['changed', 'changed', ['https://cdn.com/changed.js?v=2']],
+      ['renamed', 'moved', ['https://cdn.com/v2/renamed.js']],
+      ['gone', 'disappeared', []],
+    ]);
+  });
+
+  it('finds scripts served from a new URL by their content', () => {
+    const moved = [{ url: 'https://static.cdn.com/gone.min.js', sha1: 'ddd' }];
+    const [script] = findStaleRules([manifestScripts[3]], moved);
+    expect(script.status).to.equal('moved');
+    expect(formatStaleRules([script])).to.equal(
+      'moved       https://cdn.com/gone.js (now https://static.cdn.com/gone.min.js), redirect=sugarcoat-gone'
+    );
+  });
+
+  it('checks aliases by the registrable domain their rules match', () => {
+    const script = {
+      ...manifestScript('cdn', 'https://cdn.com/lib.js', 'aaa'),
+      aliases: ['https://www.mirror.com/lib.js', 'https://mirror.com/old.js'],
+    };
+    const current = [
+      { kind: 'external', url: 'https://static.cdn.com/lib.js', sha1: 'aaa' },
+      { kind: 'external', url: 'https://mirror.com/lib.js', sha1: 'bbb' },
+    ];
+    expect(
+      findStaleRules([script], current).map(({ originalUrl, aliasOf, status }) => [
+        originalUrl,
+        aliasOf,
+        status,
+      ])
+    ).to.deep.equal([
+      // ||cdn.com/lib.js also matches static.cdn.com
+      ['https://cdn.com/lib.js', null, 'unchanged'],
+      ['https://www.mirror.com/lib.js', 'https://cdn.com/lib.js', 'changed'],
+      ['https://mirror.com/old.js', 'https://cdn.com/lib.js', 'moved'],
+    ]);
+  });
+
+  it('checks inline and evaluated scripts on the pages of their scriptlet rules', () => {
+    const pageScript = name => ({
+      ...manifestScript(name, `https://www.a.com/#${name}`, name),
+      kind: name.split('-')[0],
+      injection: 'scriptlet',
+      matches: [{ pageUrl: 'https://www.a.com/' }],
+    });
+    const current = [
+      { kind: 'inline', pageUrl: 'https://shop.a.com/', sha1: 'inline-1' },
+      { kind: 'eval', pageUrl: 'https://b.com/', sha1: 'eval-2' },
+      { kind: 'external', url: 'https://a.com/inline-3.js', sha1: 'inline-3' },
+    ];
+    const scripts = findStaleRules(
+      [pageScript('inline-1'), pageScript('eval-2'), pageScript('inline-3')],
+      current
+    );
+    expect(scripts.map(({ name, status }) => [name, status])).to.deep.equal([
+      ['inline-1', 'unchanged'],
+      ['eval-2', 'moved'],
+      ['inline-3', 'disappeared'],
+    ]);
+    expect(formatStaleRules([scripts[1]])).to.equal(
+      'moved       https://www.a.com/#eval-2 (now https://b.com/), +js(sugarcoat-eval-2)'
+    );
+  });
+});
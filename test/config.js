@@ -0,0 +1,93 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import { expect } from 'chai';
+import { envName, readEnvSettings, loadSettings, validateSettings } from '../src/index.js';
+
+const listPath = path.resolve(path.join('test', 'cases', 'simple', 'list.txt'));
+
+describe('Settings', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reads SUGARCOAT_* variables, ignoring unknown ones', () => {
+    expect(envName('filterLists')).to.equal('SUGARCOAT_FILTER_LISTS');
+    const { settings, warnings } = readEnvSettings({
+      SUGARCOAT_SECS: '60',
+      SUGARCOAT_FILTER_LISTS: 'a.txt, b.txt',
+      SUGARCOAT_MINIFY: 'false',
+      SUGARCOAT_FILTERLIST: 'c.txt',
+      PATH: '/bin',
+    });
+    expect(settings).to.deep.equal({ secs: 60, filterLists: ['a.txt', 'b.txt'], minify: false });
+    expect(warnings).to.deep.equal(['SUGARCOAT_FILTERLIST: unknown setting, ignored']);
+  });
+
+  it('lets the command line override the environment and the config file', async () => {
+    fs.copyFileSync(listPath, path.join(tmpDir, 'list.txt'));
+    fs.writeFileSync(
+      path.join(tmpDir, 'sugarcoat.config.json'),
+      JSON.stringify({ filterLists: ['list.txt'], secs: 10, retries: 2, output: 'out' })
+    );
+    const warnings = [];
+    const settings = await loadSettings({
+      cliSettings: { secs: 30, minify: undefined },
+      env: { SUGARCOAT_RETRIES: '3', SUGARCOAT_FILTERLIST: 'c.txt' },
+      cwd: tmpDir,
+      warn: warning => warnings.push(warning),
+    });
+    expect(settings).to.deep.equal({
+      // Paths of the config file are relative to it
+      filterLists: [path.join(tmpDir, 'list.txt')],
+      secs: 30,
+      retries: 3,
+      output: path.join(tmpDir, 'out'),
+    });
+    expect(warnings).to.deep.equal(['SUGARCOAT_FILTERLIST: unknown setting, ignored']);
+  });
+
+  it('reports every problem at once, with where each setting came from', async () => {
+    const configFile = path.join(tmpDir, 'config.json');
+    fs.writeFileSync(configFile, JSON.stringify({ maxPage: 3, port: 70000, backend: 'wasm' }));
+    let error;
+    try {
+      await loadSettings({
+        cliSettings: { urls: ['example.com'], filterLists: [path.join(tmpDir, 'missing.txt')] },
+        configFile,
+        env: { SUGARCOAT_SECS: 'soon' },
+      });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message.split('\n')).to.deep.equal([
+      'Invalid settings:',
+      `  - maxPage: unknown setting (in ${configFile})`,
+      `  - port: must be at most 65535, got 70000 (from ${configFile})`,
+      `  - backend: must be one of js,cli, got wasm (from ${configFile})`,
+      '  - secs: must be an integer, got "soon" (from SUGARCOAT_SECS)',
+      '  - urls: must be an http(s) URL, got "example.com" (from command line)',
+      `  - filterLists: ${path.join(tmpDir, 'missing.txt')} not found (from command line)`,
+    ]);
+  });
+
+  it('checks directories, booleans and regexes', async () => {
+    expect(
+      await validateSettings({
+        graphsDirOverrides: [listPath],
+        keep: 'yes',
+        selectPatterns: ['analytics\\.js', '['],
+      })
+    ).to.deep.equal([
+      `graphsDirOverrides: ${listPath} not found or not a directory`,
+      'keep: must be true or false, got "yes"',
+      'selectPatterns: must be a regex: Invalid regular expression: /[/: Unterminated character class',
+    ]);
+  });
+});
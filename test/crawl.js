@@ -0,0 +1,148 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import { expect } from 'chai';
+import {
+  createContext,
+  createLimiter,
+  getCrawls,
+  generateGraphs,
+  generateAllGraphs,
+  readGraphml,
+  pageLinks,
+  findSameSiteLinks,
+  crawlGraphFiles,
+} from '../src/index.js';
+
+describe('Following links', () => {
+  const linksDir = path.resolve(path.join('test', 'cases', 'links'));
+  const graphFile = 'page_graph_0A1B2C3D4E5F60718293A4B5C6D7E8F9.0.graphml';
+
+  it('reads the pages a graph links to', async () => {
+    const graph = await readGraphml(path.join(linksDir, graphFile));
+    expect(pageLinks(graph)).to.deep.equal([
+      'https://www.localhost.test/article.html',
+      'https://shop.localhost.test/checkout',
+      'https://other.test/',
+    ]);
+  });
+
+  it('only follows links to the same site', async () => {
+    const links = await findSameSiteLinks('https://www.localhost.test/index.html', linksDir, [
+      graphFile,
+    ]);
+    expect(links).to.deep.equal([
+      'https://www.localhost.test/article.html',
+      'https://shop.localhost.test/checkout',
+    ]);
+  });
+
+  it('pairs each graph with the page it was recorded on', () => {
+    const crawl = {
+      url: 'https://a.com',
+      graphsDir: 'graphs/0-a.com',
+      graphFiles: ['landing.graphml', 'pages/1/article.graphml'],
+      pages: [
+        { url: 'https://a.com', depth: 0, graphFiles: ['landing.graphml'] },
+        { url: 'https://a.com/article', depth: 1, graphFiles: ['pages/1/article.graphml'] },
+      ],
+    };
+    expect(crawlGraphFiles([crawl]).map(({ pageUrl }) => pageUrl)).to.deep.equal([
+      'https://a.com',
+      'https://a.com/article',
+    ]);
+  });
+});
+
+describe('Recording graphs', () => {
+  it('needs a browser binary', async () => {
+    const ctx = createContext();
+    const err = await generateGraphs(ctx, 'https://example.com', ctx.graphsDir, false, 1).catch(
+      err => err
+    );
+    expect(err.message).to.equal(
+      'Must provide path to PageGraph-enabled browser binary (via --binary) in order to record graphs'
+    );
+  });
+
+  it('crawls URLs at the same time, up to the concurrency', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-crawls-'));
+    const ctx = createContext({
+      output: tmpDir,
+      binary: '/nonexistent/brave',
+      urls: ['https://a.com', 'https://b.com', 'https://c.com', 'https://d.com'],
+      retries: 1,
+      log: () => {},
+    });
+    // Count the crawl processes running at once
+    const limit = createLimiter(2);
+    let running = 0;
+    let maxRunning = 0;
+    ctx.processLimiter = task =>
+      limit(async () => {
+        maxRunning = Math.max(maxRunning, ++running);
+        try {
+          return await task();
+        } finally {
+          running--;
+        }
+      });
+    try {
+      // There is no browser at that path, so the crawls fail
+      const crawls = await generateAllGraphs(ctx, await getCrawls(ctx));
+      expect(crawls.filter(crawl => crawl.error)).to.have.length(4);
+      expect(maxRunning).to.equal(2);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('crawls the linked pages of each depth at the same time, up to the concurrency', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-links-'));
+    const ctx = createContext({
+      output: tmpDir,
+      binary: '/nonexistent/brave',
+      urls: ['https://www.localhost.test/index.html'],
+      crawlDepth: 1,
+      retries: 1,
+      log: () => {},
+    });
+    const linksDir = path.resolve(path.join('test', 'cases', 'links'));
+    const graphFile = 'page_graph_0A1B2C3D4E5F60718293A4B5C6D7E8F9.0.graphml';
+    const [crawl] = await getCrawls(ctx);
+    // Every crawl "records" the graph linking to two pages of the same site
+    for (const dir of ['', 'pages/1', 'pages/2']) {
+      fs.mkdirSync(path.join(crawl.graphsDir, dir), { recursive: true });
+      fs.copyFileSync(path.join(linksDir, graphFile), path.join(crawl.graphsDir, dir, graphFile));
+    }
+    const limit = createLimiter(2);
+    let running = 0;
+    let maxRunning = 0;
+    ctx.processLimiter = () =>
+      limit(async () => {
+        maxRunning = Math.max(maxRunning, ++running);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        running--;
+        return { stdout: '', stderr: '' };
+      });
+    try {
+      await generateAllGraphs(ctx, [crawl]);
+      expect(crawl.pages).to.deep.equal([
+        { url: 'https://www.localhost.test/index.html', depth: 0, graphFiles: [graphFile] },
+        {
+          url: 'https://www.localhost.test/article.html',
+          depth: 1,
+          graphFiles: [path.join('pages', '1', graphFile)],
+        },
+        {
+          url: 'https://shop.localhost.test/checkout',
+          depth: 1,
+          graphFiles: [path.join('pages', '2', graphFile)],
+        },
+      ]);
+      expect(maxRunning).to.equal(2);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
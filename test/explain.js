@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+import { createLogger, explainGraph, formatExplanation, NotAScriptError } from '../src/index.js';
+
+describe('Explain mode', () => {
+  // Answers the queries of openGraph for a page loading a.js, which loads b.js, and c.js
+  const graph = {
+    adblockRules: async () => [
+      {
+        url: 'https://cdn.com/a.js',
+        requests: [
+          {
+            edge_id: 'e1',
+            request_id: '1',
+            request_type: 'script',
+            blocking_filter: '||cdn.com^',
+            exception_filter: '@@||cdn.com/a.js',
+          },
+        ],
+      },
+      {
+        url: 'https://cdn.com/b.js',
+        requests: [{ edge_id: 'e2', request_id: '2', request_type: 'script' }],
+      },
+      {
+        url: 'https://ads.com/c.js',
+        requests: [
+          {
+            edge_id: 'e3',
+            request_id: '3',
+            request_type: 'script',
+            blocking_filter: '||ads.com^',
+          },
+        ],
+      },
+      {
+        url: 'https://cdn.com/a.png',
+        requests: [{ edge_id: 'e4', request_id: '4', request_type: 'image' }],
+      },
+    ],
+    requestTree: async () => [
+      { requestId: '1', parentRequestId: null },
+      { requestId: '2', parentRequestId: '1' },
+    ],
+    requestIdInfo: async requestId => ({
+      url: { 1: 'https://cdn.com/a.js', 2: 'https://cdn.com/b.js' }[requestId],
+    }),
+  };
+
+  it('gives the status and reason of every script request', async () => {
+    const entries = await explainGraph(graph, 'list.txt');
+    expect(entries.map(({ url, status, pullsIn }) => ({ url, status, pullsIn }))).to.deep.equal([
+      { url: 'https://cdn.com/a.js', status: 'selected', pullsIn: ['https://cdn.com/b.js'] },
+      { url: 'https://cdn.com/b.js', status: 'selected', pullsIn: [] },
+      { url: 'https://ads.com/c.js', status: 'blocked', pullsIn: [] },
+    ]);
+    expect(entries[1].reason).to.equal('pulled in by https://cdn.com/a.js (no rule matched)');
+  });
+
+  it('only selects the scripts of the tree scripts mode', async () => {
+    const status = async treeScripts =>
+      (await explainGraph(graph, 'list.txt', { treeScripts }))
+        .slice(0, 2)
+        .map(({ status, reason }) => `${status}: ${reason}`);
+    expect(await status('leaves')).to.deep.equal([
+      'ignored: left out by --tree-scripts leaves (blocked by ||cdn.com^, excepted by @@||cdn.com/a.js)',
+      'selected: pulled in by https://cdn.com/a.js (no rule matched)',
+    ]);
+    expect(await status('root')).to.deep.equal([
+      'selected: blocked by ||cdn.com^, excepted by @@||cdn.com/a.js',
+      'ignored: no rule matched',
+    ]);
+  });
+
+  it('reports graph query errors instead of skipping them', async () => {
+    const failingGraph = {
+      adblockRules: async () => {
+        throw new Error('bad domain');
+      },
+    };
+    expect(await explainGraph(failingGraph, 'list.txt')).to.deep.equal([
+      { status: 'error', reason: 'querying the graph failed: bad domain' },
+    ]);
+  });
+
+  it('reports failed queries, not requests that loaded no script', async () => {
+    const logger = createLogger({ log: () => {} });
+    const brokenGraph = {
+      ...graph,
+      requestIdInfo: async requestId => {
+        if (requestId === '2') throw new NotAScriptError(requestId);
+        throw new Error('Command pagegraph-cli timed out');
+      },
+    };
+    const entries = await explainGraph(brokenGraph, 'list.txt', {
+      logger,
+      graphFile: '/graphs/page.graphml',
+    });
+    expect(entries.map(({ status }) => status)).to.deep.equal(['ignored', 'ignored', 'blocked']);
+    // Request 2 loading no script is no failure
+    expect(logger.failures.map(({ type, name, error }) => ({ type, name, error }))).to.deep.equal([
+      {
+        type: 'query',
+        name: 'request_id_info 1 page.graphml',
+        error: 'Command pagegraph-cli timed out',
+      },
+    ]);
+  });
+
+  it('formats entries as a table', () => {
+    const table = formatExplanation([
+      {
+        status: 'blocked',
+        filterList: '/lists/list.txt',
+        frame: { isRoot: true },
+        url: 'https://ads.com/c.js',
+        reason: 'blocked by ||ads.com^ without exception',
+        pullsIn: [],
+      },
+    ]);
+    expect(table.split('\n')).to.deep.equal([
+      'STATUS   LIST      FRAME  SCRIPT                REASON                                   PULLS IN',
+      'blocked  list.txt  root   https://ads.com/c.js  blocked by ||ads.com^ without exception',
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+import { expect } from 'chai';
+import { toBraveResources, toUboResources, toDnrRules } from '../src/index.js';
+
+describe('Output formats', () => {
+  const resources = [{ name: 'sugarcoat-abc', content: 'var a = 1;\n\nvar b = 2;\n' }];
+  const redirects = [
+    {
+      urlPattern: '||example.com/analytics.js',
+      pageDomains: ['a.com', 'b.com'],
+      resourceName: 'sugarcoat-abc',
+    },
+  ];
+
+  it('writes adblock-rust resources', () => {
+    expect(toBraveResources(resources)).to.deep.equal([
+      {
+        name: 'sugarcoat-abc',
+        aliases: [],
+        kind: { mime: 'application/javascript' },
+        content: Buffer.from('var a = 1;\n\nvar b = 2;\n').toString('base64'),
+      },
+    ]);
+  });
+
+  it('writes uBlock Origin resources, encoding scripts with blank lines', () => {
+    const plain = [{ name: 'sugarcoat-def', content: 'var a = 1;\nvar b = 2;\n' }];
+    expect(toUboResources(plain)).to.equal(
+      'sugarcoat-def application/javascript\nvar a = 1;\nvar b = 2;\n'
+    );
+    // Blank lines of template literals are kept
+    expect(toUboResources(resources)).to.equal(
+      'sugarcoat-abc application/javascript;base64\n' +
+        Buffer.from('var a = 1;\n\nvar b = 2;\n').toString('base64') +
+        '\n'
+    );
+    expect(toUboResources(plain, [{ name: 'sugarcoat-ghi.js', content: 'f();\n' }])).to.equal(
+      'sugarcoat-def application/javascript\nvar a = 1;\nvar b = 2;\n\n' +
+        'sugarcoat-ghi.js application/javascript\nf();\n'
+    );
+    expect(() => toUboResources([], resources)).to.throw(
+      'Cannot write scriptlet sugarcoat-abc as a uBO resource, it has blank lines'
+    );
+  });
+
+  it('writes declarativeNetRequest rules scoped to the page domains', () => {
+    expect(toDnrRules(redirects)).to.deep.equal([
+      {
+        id: 1,
+        priority: 1,
+        action: {
+          type: 'redirect',
+          redirect: { extensionPath: '/sugarcoat/sugarcoat-abc.js' },
+        },
+        condition: {
+          urlFilter: '||example.com/analytics.js',
+          resourceTypes: ['script'],
+          initiatorDomains: ['a.com', 'b.com'],
+        },
+      },
+    ]);
+  });
+});
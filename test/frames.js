@@ -0,0 +1,31 @@
+import * as path from 'path';
+import { expect } from 'chai';
+import { createContext, openGraph, ruleDomainsForFrame } from '../src/index.js';
+
+describe('Frame-aware domains', () => {
+  const testDir = path.resolve(path.join('test', 'cases', 'microsoft.com'));
+  // Third-party iframe of microsoft.com, recorded from mscom.demdex.net
+  const iframeGraph = path.join(testDir, 'page_graph_1751AF01D72A744F7243B0FEFF4B5D2B.0.graphml');
+  const pageUrl = 'https://www.microsoft.com/en-us/';
+
+  it('scopes rules for scripts of iframes to the frame and page domains', async () => {
+    const ctx = createContext();
+    const frame = await (await openGraph(ctx, iframeGraph)).frame();
+    expect(frame.isRoot).to.be.false;
+    expect(await ruleDomainsForFrame(ctx, pageUrl, frame)).to.deep.equal([
+      'microsoft.com',
+      'demdex.net',
+    ]);
+    const frameOnly = createContext({ frameDomains: 'frame' });
+    expect(await ruleDomainsForFrame(frameOnly, pageUrl, frame)).to.deep.equal(['demdex.net']);
+    const topOnly = createContext({ frameDomains: 'top' });
+    expect(await ruleDomainsForFrame(topOnly, pageUrl, frame)).to.deep.equal(['microsoft.com']);
+  });
+
+  it('uses the page domain for the root frame', async () => {
+    const frame = { url: 'https://localhost:8000/index.html', isRoot: true, frameId: 'F' };
+    expect(await ruleDomainsForFrame(createContext(), 'http://example.com', frame)).to.deep.equal([
+      'example.com',
+    ]);
+  });
+});
@@ -0,0 +1,187 @@
+import { expect } from 'chai';
+import * as path from 'path';
+import {
+  readGraphml,
+  parseGraphml,
+  downstreamRequests,
+  requestTree,
+  requestIdInfo,
+  pageScripts,
+} from '../src/graphml.js';
+import { openGraph } from '../src/pagegraph.js';
+import { createContext } from '../src/index.js';
+import { readGraphFiles } from '../src/utils.js';
+
+const testCasesDirBase = path.resolve(path.join('test', 'cases'));
+const scriptCallsScriptGraph = path.join(
+  testCasesDirBase,
+  'test-script-calls-script-calls-script',
+  'page_graph_525C3541E1B40E0A44496AFEC83CDE0F.0.graphml'
+);
+
+// URLs of the scripts selected from a graph file, as getSources does
+const selectedScriptUrls = async (backend, graphFile, filterlist) => {
+  const ctx = createContext({ filterLists: [filterlist], backend });
+  const graph = await openGraph(ctx, graphFile);
+  const edges = (await graph.adblockRules(filterlist))
+    .flatMap(resource => resource.requests)
+    .filter(request => request.blocking_filter && request.exception_filter)
+    .map(request => request.edge_id);
+  const requestIds = (await Promise.all(edges.map(edge => graph.downstreamRequests(edge)))).flat();
+  const urls = await Promise.all(
+    requestIds.map(requestId =>
+      graph.requestIdInfo(requestId).then(
+        info => info.url,
+        _ => null
+      )
+    )
+  );
+  return [...new Set(urls.filter(url => url))].sort();
+};
+
+// Request ids downstream of each excepted request of a graph file: from the request trees
+// getSources builds, which the cli backend also reads in-process, or from pagegraph-cli
+const downstreamRequestIds = async (graphFile, filterlist, fromTrees) => {
+  const graph = await openGraph(
+    createContext({ filterLists: [filterlist], backend: 'cli' }),
+    graphFile
+  );
+  const edges = (await graph.adblockRules(filterlist))
+    .flatMap(resource => resource.requests)
+    .filter(request => request.blocking_filter && request.exception_filter)
+    .map(request => request.edge_id);
+  return Promise.all(
+    edges.map(async edge =>
+      (fromTrees
+        ? (await graph.requestTree(edge)).map(({ requestId }) => requestId)
+        : await graph.downstreamRequests(edge)
+      )
+        .map(String)
+        .sort()
+    )
+  );
+};
+
+// An inline script creating the <script> element of t.js, which evaluates code requesting
+// p.gif
+const evalGraph = `<graphml>
+<key id="d1" for="node" attr.name="node type"/><key id="d2" for="node" attr.name="script type"/>
+<key id="d3" for="node" attr.name="source"/><key id="d4" for="node" attr.name="url"/>
+<key id="d5" for="edge" attr.name="edge type"/><key id="d6" for="edge" attr.name="request id"/>
+<node id="n1"><data key="d1">HTML element</data></node>
+<node id="n2"><data key="d1">resource</data><data key="d4">https://cdn.com/t.js</data></node>
+<node id="n3"><data key="d1">script</data><data key="d2">external file</data></node>
+<node id="n4"><data key="d1">script</data><data key="d2">eval</data><data key="d3">track()</data></node>
+<node id="n5"><data key="d1">resource</data><data key="d4">https://track.com/p.gif</data></node>
+<node id="n6"><data key="d1">HTML element</data></node>
+<node id="n7"><data key="d1">script</data><data key="d2">inline</data><data key="d3">load()</data></node>
+<edge id="e1" source="n1" target="n2"><data key="d5">request start</data><data key="d6">3</data></edge>
+<edge id="e2" source="n1" target="n3"><data key="d5">execute</data></edge>
+<edge id="e3" source="n3" target="n4"><data key="d5">execute</data></edge>
+<edge id="e4" source="n4" target="n5"><data key="d5">request start</data><data key="d6">4</data></edge>
+<edge id="e5" source="n6" target="n7"><data key="d5">execute</data></edge>
+<edge id="e6" source="n7" target="n1"><data key="d5">create node</data></edge>
+</graphml>`;
+
+describe('GraphML analyzer', () => {
+  it('reads the frame metadata of a graph', async () => {
+    const graph = await readGraphml(scriptCallsScriptGraph);
+    expect(graph.url).to.equal('https://localhost:8080/');
+    expect(graph.isRoot).to.be.true;
+    expect(graph.frameId).to.equal('525C3541E1B40E0A44496AFEC83CDE0F');
+  });
+
+  it('finds requests downstream of a script request', async () => {
+    const graph = await readGraphml(scriptCallsScriptGraph);
+    // e73 is the request for script1.js, which loads script2.js, which loads scevent.min.js
+    expect(downstreamRequests(graph, 'e73')).to.deep.equal(['2', '5', '7']);
+    expect(downstreamRequests(graph, 'e116')).to.deep.equal(['5', '7']);
+  });
+
+  it('finds which script made each downstream request', async () => {
+    const graph = await readGraphml(scriptCallsScriptGraph);
+    expect(requestTree(graph, 'e73')).to.deep.equal([
+      { requestId: '2', parentRequestId: null },
+      { requestId: '5', parentRequestId: '2' },
+      { requestId: '7', parentRequestId: '5' },
+    ]);
+    expect(() => requestTree(graph, 'n1')).to.throw('n1 is not a request start edge');
+  });
+
+  it('gets the URL and source of a script request', async () => {
+    const graph = await readGraphml(scriptCallsScriptGraph);
+    const info = requestIdInfo(graph, 5);
+    expect(info.url).to.equal('https://localhost:8080/script2.js');
+    expect(info.source).to.include('https://sc-static.net/scevent.min.js');
+    // Request 1 is for the document itself, not a script
+    expect(() => requestIdInfo(graph, 1)).to.throw();
+  });
+
+  it('finds inline and evaluated scripts', () => {
+    expect(pageScripts(parseGraphml(evalGraph))).to.deep.equal([
+      {
+        id: 'n4',
+        kind: 'eval',
+        source: 'track()',
+        requestIds: ['4'],
+        parentScriptId: 'n3',
+        parentRequestId: '3',
+      },
+      {
+        id: 'n7',
+        kind: 'inline',
+        source: 'load()',
+        requestIds: ['3', '4'],
+        parentScriptId: null,
+        parentRequestId: null,
+      },
+    ]);
+  });
+
+  it('finds the requests of inline scripts', async () => {
+    const graph = await readGraphml(
+      path.join(
+        testCasesDirBase,
+        'soundcloud.com',
+        'page_graph_52DC8A029D2A83510DF78BFEF82FF940.0.graphml'
+      )
+    );
+    const scripts = pageScripts(graph);
+    expect(scripts.map(({ id, kind }) => `${id} ${kind}`)).to.deep.equal([
+      'n148 inline',
+      'n315 inline',
+    ]);
+    // The ad script the first inline script writes and what that one requests
+    expect(scripts[0].requestIds).to.deep.equal(['5', '6', '7']);
+    expect(requestIdInfo(graph, 5).url).to.include('synchroscript.deliveryengine.adswizz.com');
+  });
+
+  [
+    ['simple', 'list.txt'],
+    ['exceptions', 'list.txt'],
+    ['exceptions', 'list_without_exception.txt'],
+    ['test-script-calls-script-calls-script', 'list.txt'],
+  ].forEach(([testCase, list]) => {
+    it(`selects the same scripts as pagegraph-cli for ${testCase} with ${list}`, async () => {
+      const testDir = path.join(testCasesDirBase, testCase);
+      const graphFiles = (await readGraphFiles(testDir)).map(file => path.join(testDir, file));
+      for (const graphFile of graphFiles) {
+        const filterlist = path.join(testDir, list);
+        expect(await selectedScriptUrls('js', graphFile, filterlist)).to.deep.equal(
+          await selectedScriptUrls('cli', graphFile, filterlist)
+        );
+      }
+    });
+
+    it(`builds request trees of the same requests as pagegraph-cli for ${testCase} with ${list}`, async () => {
+      const testDir = path.join(testCasesDirBase, testCase);
+      const graphFiles = (await readGraphFiles(testDir)).map(file => path.join(testDir, file));
+      for (const graphFile of graphFiles) {
+        const filterlist = path.join(testDir, list);
+        expect(await downstreamRequestIds(graphFile, filterlist, true)).to.deep.equal(
+          await downstreamRequestIds(graphFile, filterlist, false)
+        );
+      }
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import { expect } from 'chai';
+import { createContext, createLogger, writeFailureLog, runPipeline } from '../src/index.js';
+
+describe('Logging', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-logger-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('drops messages below the log level and prints objects as JSON', () => {
+    const lines = [];
+    const logger = createLogger({
+      level: 'warn',
+      log: (line, level) => lines.push([level, line]),
+    });
+    logger.info('Running sugarcoat...');
+    logger.debug('Requests:', [1, 2]);
+    logger.warn('Requests:', [1, 2], { edge: 'e1' });
+    logger.event({ type: 'stage', name: 'patch', status: 'finished', durationMs: 5 });
+    logger.event({
+      type: 'crawl',
+      name: 'https://a.com',
+      status: 'failed',
+      error: new Error('x'),
+    });
+    expect(lines).to.deep.equal([
+      ['warn', 'Requests: [1,2] {"edge":"e1"}'],
+      ['warn', 'Crawl https://a.com failed: x'],
+    ]);
+    expect(() => createLogger({ level: 'verbose' })).to.throw(
+      'Unknown log level verbose, must be one of error,warn,info,debug'
+    );
+  });
+
+  it('prints one JSON object per message and event', () => {
+    const lines = [];
+    const logger = createLogger({ format: 'json', log: line => lines.push(JSON.parse(line)) });
+    logger.info('Post-processing...');
+    logger.event({ type: 'stage', name: 'bundle', status: 'finished', counts: { rules: 2 } });
+    logger.debug('dropped');
+    const processError = Object.assign(new Error('Command node exited with code 3'), {
+      command: 'node run.js',
+      exitCode: 3,
+    });
+    logger.event({ type: 'crawl', name: 'https://a.com', status: 'failed', error: processError });
+    lines.forEach(line => delete line.time);
+    expect(lines).to.deep.equal([
+      { level: 'info', message: 'Post-processing...' },
+      { level: 'info', type: 'stage', name: 'bundle', status: 'finished', counts: { rules: 2 } },
+      {
+        level: 'warn',
+        type: 'crawl',
+        name: 'https://a.com',
+        status: 'failed',
+        error: 'Command node exited with code 3',
+        command: 'node run.js',
+        exitCode: 3,
+      },
+    ]);
+    expect(logger.failures.map(({ name }) => name)).to.deep.equal(['https://a.com']);
+  });
+
+  it('keeps the failures of a run in the output directory', async () => {
+    const ctx = createContext({ output: tmpDir, log: () => {} });
+    ctx.logger.event({ type: 'crawl', name: 'https://a.com', status: 'failed', error: 'down' });
+    const file = await writeFailureLog(ctx);
+    expect(file).to.equal(path.join(tmpDir, 'sugarcoat_failures.log'));
+    expect(JSON.parse(fs.readFileSync(file, 'UTF-8'))).to.include({ status: 'failed' });
+    expect(await writeFailureLog(createContext({ output: tmpDir }))).to.equal(null);
+    expect(fs.existsSync(file)).to.be.false;
+  });
+
+  it('ends a run with a summary', async () => {
+    const lines = [];
+    const err = await runPipeline({
+      urls: 'http://localhost',
+      output: tmpDir,
+      graphsDirOverrides: path.resolve(path.join('test', 'cases', 'simple')),
+      logFormat: 'json',
+      log: line => lines.push(JSON.parse(line)),
+    }).catch(err => err);
+    expect(err.message).to.equal('Must provide at least one filter list (via filterLists)');
+    expect(lines[0]).to.include({ level: 'info', message: 'Precheck and clean...' });
+    expect(lines[lines.length - 1]).to.include({
+      level: 'warn',
+      type: 'summary',
+      name: 'all',
+      status: 'failed',
+      error: err.message,
+    });
+    expect(lines[lines.length - 1].counts).to.deep.equal({ failures: 1 });
+  });
+});
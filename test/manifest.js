@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as path from 'path';
+import { createContext, collectManifestEntries, writeManifest } from '../src/index.js';
+
+const outputDir = path.resolve(path.join('test', 'output'));
+const DEBUG = process.env.DEBUG;
+
+describe('Run manifest', () => {
+  let ctx;
+
+  beforeEach('Set up sugarcoat output', () => {
+    ctx = createContext({ filterLists: ['list.txt'], output: outputDir });
+    fs.mkdirSync(ctx.scriptsDir, { recursive: true });
+    fs.mkdirSync(ctx.sugarcoatedScriptsDir, { recursive: true });
+    fs.writeFileSync(path.join(ctx.scriptsDir, 'script1.js'), 'console.log(localStorage);');
+    fs.writeFileSync(path.join(ctx.scriptsDir, 'sugarcoat-script1.js'), 'patched();');
+    const policy = { include: ['Window#localStorage', 'Document#cookie'] };
+    const config = { targets: { script1: { patterns: ['http://a.com/script1.js'], policy } } };
+    fs.writeFileSync(ctx.massagedConfigJsonFile, JSON.stringify(config));
+    const trace = { script1: { 'Window#localStorage': [{ line: 1 }] } };
+    fs.writeFileSync(ctx.traceFile, JSON.stringify(trace));
+    ctx.scriptNameToUrl.script1 = 'http://a.com/script1.js';
+    ctx.scriptUrlToMatches['http://a.com/script1.js'] = [
+      {
+        pageUrl: 'http://a.com',
+        graphFile: 'page_graph.graphml',
+        parentEdge: 'e73',
+        filterList: 'list.txt',
+        blockingFilter: 'script1',
+        exceptionFilter: '@@script1',
+      },
+    ];
+  });
+
+  afterEach('Clean up output', () => {
+    if (!DEBUG) {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  it('records why each script was patched', async () => {
+    const sugarcoatedScript = path.join(ctx.sugarcoatedScriptsDir, 'sugarcoat-abc');
+    fs.copyFileSync(path.join(ctx.scriptsDir, 'sugarcoat-script1.js'), sugarcoatedScript);
+    const entries = await collectManifestEntries(ctx, [
+      {
+        from: path.join(ctx.scriptsDir, 'sugarcoat-script1.js'),
+        to: sugarcoatedScript,
+        resourceName: 'sugarcoat-abc',
+      },
+    ]);
+    fs.writeFileSync(sugarcoatedScript, 'p();');
+    const manifest = await writeManifest(ctx, entries, [sugarcoatedScript]);
+    const [entry] = manifest.scripts;
+    expect(entry.name).to.equal('script1');
+    expect(entry.originalUrl).to.equal('http://a.com/script1.js');
+    expect(entry.matches[0].blockingFilter).to.equal('script1');
+    expect(entry.resource).to.equal('sugarcoat-abc');
+    expect(entry.originalSha1).to.equal('2e42ee6ee3893c6e0a55792ec51dcf5c238194bd');
+    expect(entry.patchedSha1).to.equal('e9570c7eb615707fbd645be394983377cd92326f');
+    expect(entry.sizes).to.deep.equal({ original: 26, patched: 10, minified: 4 });
+    expect(entry.policyApis).to.deep.equal(['Window#localStorage', 'Document#cookie']);
+    expect(entry.observedApis).to.deep.equal(['Window#localStorage']);
+    expect(JSON.parse(fs.readFileSync(ctx.manifestFile, 'UTF-8'))).to.deep.equal(manifest);
+  });
+
+  it('lists inline and evaluated scripts apart', async () => {
+    fs.writeFileSync(path.join(ctx.scriptsDir, 'inline-0123.js'), 'load();');
+    fs.writeFileSync(path.join(ctx.scriptsDir, 'sugarcoat-inline-0123.js'), 'patched();');
+    ctx.scriptNameToUrl['inline-0123'] = 'http://a.com/#inline-0123';
+    ctx.pageScripts['inline-0123'] = { kind: 'inline', fingerprint: '7:0' };
+    const movedScripts = ['script1', 'inline-0123'].map(name => ({
+      from: path.join(ctx.scriptsDir, `sugarcoat-${name}.js`),
+      to: path.join(ctx.scriptsDir, `sugarcoat-${name}.js`),
+      resourceName: `sugarcoat-${name}`,
+    }));
+    const entries = await collectManifestEntries(ctx, movedScripts);
+    const { scripts, pageScripts } = await writeManifest(ctx, entries);
+    expect(scripts.map(({ name, kind, injection }) => [name, kind, injection])).to.deep.equal([
+      ['script1', 'external', 'redirect'],
+    ]);
+    expect(pageScripts.map(({ name, kind, injection }) => [name, kind, injection])).to.deep.equal([
+      ['inline-0123', 'inline', 'scriptlet'],
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import { expect } from 'chai';
+import { createContext, mergeRules, diffRules, mergeIntoList } from '../src/index.js';
+
+describe('Merging into a published list', () => {
+  const rule = (url, domains, name) =>
+    `||${url}$script,important,domain=${domains},redirect=sugarcoat-${name}`;
+
+  it('replaces rules for the same script URL and page domain', () => {
+    const existing = ['! https://a.com', rule('cdn.com/x.js', 'a.com|b.com', 'old')];
+    const generated = ['! https://b.com', rule('cdn.com/x.js', 'b.com', 'new')];
+    expect(mergeRules(existing, generated)).to.deep.equal([
+      '! https://a.com',
+      '! https://b.com',
+      rule('cdn.com/x.js', 'a.com', 'old'),
+      rule('cdn.com/x.js', 'b.com', 'new'),
+    ]);
+  });
+
+  it('drops the header lines of a published list that no longer hold', () => {
+    const existing = [
+      '! Checksum: abcdef',
+      '! Title: SugarCoat',
+      '! Version: 202110191230',
+      '! Last modified: 2021-10-19T12:30:00.000Z',
+      rule('cdn.com/x.js', 'a.com', 'old'),
+    ];
+    expect(mergeRules(existing, [rule('cdn.com/y.js', 'a.com', 'y')])).to.deep.equal([
+      '! Title: SugarCoat',
+      rule('cdn.com/x.js', 'a.com', 'old'),
+      rule('cdn.com/y.js', 'a.com', 'y'),
+    ]);
+  });
+
+  it('lists added, changed and removed rules', () => {
+    const oldRules = [rule('cdn.com/x.js', 'a.com', 'old'), rule('cdn.com/y.js', 'a.com', 'y')];
+    const newRules = [rule('cdn.com/x.js', 'a.com', 'new'), rule('cdn.com/z.js', 'a.com', 'z')];
+    expect(diffRules(oldRules, newRules)).to.deep.equal({
+      added: [rule('cdn.com/z.js', 'a.com', 'z')],
+      changed: [{ from: [rule('cdn.com/x.js', 'a.com', 'old')], to: newRules[0] }],
+      removed: [rule('cdn.com/y.js', 'a.com', 'y')],
+    });
+  });
+
+  it('reuses identical resources and drops unused ones', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-merge-'));
+    const ctx = createContext({
+      output: path.join(tmpDir, 'output'),
+      mergeInto: path.join(tmpDir, 'list.txt'),
+      resourcesDir: path.join(tmpDir, 'resources'),
+    });
+    fs.mkdirSync(ctx.sugarcoatedScriptsDir, { recursive: true });
+    fs.mkdirSync(ctx.resourcesDir);
+    fs.writeFileSync(path.join(ctx.resourcesDir, 'sugarcoat-published'), 'var same;');
+    fs.writeFileSync(path.join(ctx.resourcesDir, 'sugarcoat-old'), 'var old;');
+    fs.writeFileSync(path.join(ctx.sugarcoatedScriptsDir, 'sugarcoat-same'), 'var same;');
+    fs.writeFileSync(path.join(ctx.sugarcoatedScriptsDir, 'sugarcoat-new'), 'var added;');
+    fs.writeFileSync(
+      ctx.mergeInto,
+      [rule('cdn.com/x.js', 'a.com', 'old'), rule('cdn.com/y.js', 'a.com', 'published')].join('\n')
+    );
+    fs.writeFileSync(
+      ctx.rulesFile,
+      [rule('cdn.com/x.js', 'a.com', 'new'), rule('cdn.com/z.js', 'a.com', 'same')].join('\n')
+    );
+    const { rules, addedResources, removedResources } = await mergeIntoList(ctx);
+    const resources = fs.readdirSync(ctx.resourcesDir).sort();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    expect(rules).to.deep.equal([
+      rule('cdn.com/y.js', 'a.com', 'published'),
+      rule('cdn.com/x.js', 'a.com', 'new'),
+      rule('cdn.com/z.js', 'a.com', 'published'),
+    ]);
+    expect(resources).to.deep.equal(['sugarcoat-new', 'sugarcoat-published']);
+    expect(addedResources).to.deep.equal(['sugarcoat-new']);
+    expect(removedResources).to.deep.equal(['sugarcoat-old']);
+  });
+
+  it('keeps the resources of scriptlet rules', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-merge-'));
+    const ctx = createContext({
+      output: path.join(tmpDir, 'output'),
+      mergeInto: path.join(tmpDir, 'list.txt'),
+      resourcesDir: path.join(tmpDir, 'resources'),
+    });
+    fs.mkdirSync(ctx.sugarcoatedScriptsDir, { recursive: true });
+    fs.mkdirSync(ctx.resourcesDir);
+    fs.writeFileSync(path.join(ctx.resourcesDir, 'sugarcoat-published'), 'var same;');
+    fs.writeFileSync(path.join(ctx.sugarcoatedScriptsDir, 'sugarcoat-inline'), 'var same;');
+    fs.writeFileSync(path.join(ctx.sugarcoatedScriptsDir, 'sugarcoat-x'), 'var x;');
+    fs.writeFileSync(ctx.mergeInto, '');
+    fs.writeFileSync(
+      ctx.rulesFile,
+      [rule('cdn.com/x.js', 'a.com', 'x'), 'a.com##+js(sugarcoat-inline)'].join('\n')
+    );
+    const { rules } = await mergeIntoList(ctx);
+    const resources = fs.readdirSync(ctx.resourcesDir).sort();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    expect(rules).to.deep.equal([
+      'a.com##+js(sugarcoat-published)',
+      rule('cdn.com/x.js', 'a.com', 'x'),
+    ]);
+    expect(resources).to.deep.equal(['sugarcoat-published', 'sugarcoat-x']);
+  });
+});
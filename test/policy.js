@@ -0,0 +1,75 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import { expect } from 'chai';
+import {
+  resolvePolicy,
+  createContext,
+  readPolicyConfig,
+  policyPresets,
+  loadRecipes,
+} from '../src/index.js';
+
+describe('Policy overrides', () => {
+  const config = {
+    policy: { include: ['Document#cookie', 'Window#fetch'] },
+    overrides: [
+      { domains: ['google-analytics.com'], include: ['Window#localStorage'] },
+      {
+        patterns: ['https://cdn.example.com/*/fingerprint.js'],
+        include: ['Navigator#userAgent'],
+        exclude: ['Window#fetch'],
+      },
+    ],
+  };
+
+  it('uses the default policy when no override matches', () => {
+    expect(resolvePolicy(config, 'https://example.org/script.js')).to.deep.equal({
+      include: ['Document#cookie', 'Window#fetch'],
+    });
+  });
+
+  it('adds APIs for scripts from an override domain and its subdomains', () => {
+    expect(resolvePolicy(config, 'https://www.google-analytics.com/analytics.js')).to.deep.equal({
+      include: ['Document#cookie', 'Window#fetch', 'Window#localStorage'],
+    });
+  });
+
+  it('adds and excludes APIs for scripts matching an override pattern', () => {
+    expect(resolvePolicy(config, 'https://cdn.example.com/v2/fingerprint.js')).to.deep.equal({
+      include: ['Document#cookie', 'Navigator#userAgent'],
+    });
+  });
+});
+
+describe('Policy presets', () => {
+  it('builds the policy from presets alone', async () => {
+    const { policy } = await readPolicyConfig(createContext({ presets: ['fingerprinting'] }));
+    expect(policy.include).to.deep.equal(policyPresets.fingerprinting);
+  });
+
+  it('adds presets to a policy file, keeping its overrides', async () => {
+    const policyFile = path.join(os.tmpdir(), 'sugarcoat-preset-policy.json');
+    const overrides = [{ domains: ['a.com'], include: ['Navigator#userAgent'] }];
+    fs.writeFileSync(
+      policyFile,
+      JSON.stringify({ policy: { include: ['Window#fetch'] }, overrides })
+    );
+    const config = await readPolicyConfig(
+      createContext({ policy: policyFile, presets: ['network', 'storage'] })
+    );
+    fs.unlinkSync(policyFile);
+    expect(config.policy.include).to.deep.equal([
+      'Window#fetch',
+      ...policyPresets.network.filter(api => api !== 'Window#fetch'),
+      ...policyPresets.storage,
+    ]);
+    expect(config.overrides).to.deep.equal(overrides);
+  });
+
+  it('only uses APIs with a built-in recipe', async () => {
+    const recipes = await loadRecipes();
+    const { policy } = await readPolicyConfig(createContext({ presets: 'all' }));
+    expect(policy.include.filter(api => !(api in recipes))).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,94 @@
+import { expect } from 'chai';
+import {
+  createContext,
+  createLimiter,
+  runProcess,
+  withRetries,
+  ProcessError,
+} from '../src/index.js';
+
+const node = process.execPath;
+
+describe('Process runner', () => {
+  it('passes arguments without a shell', async () => {
+    const ctx = createContext();
+    const { stdout } = await runProcess(ctx, node, [
+      '-e',
+      'console.log(JSON.stringify(process.argv.slice(1)))',
+      '$(echo hi)',
+      'a b; c',
+    ]);
+    expect(JSON.parse(stdout)).to.deep.equal(['$(echo hi)', 'a b; c']);
+  });
+
+  it('rejects with the command, exit code and stderr', async () => {
+    const ctx = createContext();
+    const err = await runProcess(ctx, node, [
+      '-e',
+      'console.error("boom"); process.exit(3)',
+    ]).catch(err => err);
+    expect(err).to.be.an.instanceof(ProcessError);
+    expect(err.exitCode).to.equal(3);
+    expect(err.stderr.trim()).to.equal('boom');
+    expect(err.command).to.include(node);
+    expect(err.message).to.include('exited with code 3:\nboom');
+  });
+
+  it('kills processes past their timeout', async () => {
+    const ctx = createContext();
+    const err = await runProcess(ctx, node, ['-e', 'setTimeout(() => {}, 10000)'], {
+      timeout: 200,
+    }).catch(err => err);
+    expect(err.timedOut).to.equal(true);
+    expect(err.exitCode).to.equal(null);
+    expect(err.message).to.include('timed out');
+  });
+
+  it('reports processes that cannot start', async () => {
+    const ctx = createContext();
+    const err = await runProcess(ctx, '/nonexistent/binary', ['x']).catch(err => err);
+    expect(err).to.be.an.instanceof(ProcessError);
+    expect(err.exitCode).to.equal(null);
+    expect(err.cause.code).to.equal('ENOENT');
+  });
+
+  it('runs at most concurrency tasks at once', async () => {
+    const limit = createLimiter(2);
+    let running = 0;
+    let maxRunning = 0;
+    const results = await Promise.all(
+      [1, 2, 3, 4, 5].map(n =>
+        limit(async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise(resolve => setTimeout(resolve, 10));
+          running--;
+          return n * 2;
+        })
+      )
+    );
+    expect(results).to.deep.equal([2, 4, 6, 8, 10]);
+    expect(maxRunning).to.equal(2);
+    expect(() => createLimiter(0)).to.throw('Invalid concurrency 0, must be at least 1');
+  });
+
+  it('retries failed attempts until they run out', async () => {
+    const retried = [];
+    const result = await withRetries(
+      async attempt => {
+        if (attempt < 3) throw new Error(`attempt ${attempt}`);
+        return attempt;
+      },
+      { retries: 5, backoffSecs: 0, onRetry: (err, attempt) => retried.push(attempt) }
+    );
+    expect(result).to.equal(3);
+    expect(retried).to.deep.equal([1, 2]);
+    const err = await withRetries(
+      async attempt => {
+        throw new Error(`attempt ${attempt}`);
+      },
+      { retries: 2, backoffSecs: 0 }
+    ).catch(err => err);
+    expect(err.message).to.equal('attempt 2');
+  });
+});
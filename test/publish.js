@@ -0,0 +1,64 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { expect } from 'chai';
+import {
+  createContext,
+  formatPublishedList,
+  listChecksum,
+  writeResourcesIndex,
+} from '../src/index.js';
+
+describe('Publication-ready output', () => {
+  const date = new Date('2021-10-19T12:30:00Z');
+  const rule = (url, name) => `||${url}$script,important,domain=a.com,redirect=sugarcoat-${name}`;
+  const lines = ['! https://a.com', rule('cdn.com/z.js', 'z'), rule('cdn.com/a.js', 'a'), ''];
+
+  it('writes a header, sorted rules and a checksum', () => {
+    const list = formatPublishedList(createContext({ listVersion: '1.2.0' }), lines, date);
+    expect(list).to.deep.equal([
+      '[Adblock Plus 2.0]',
+      `! Checksum: ${listChecksum([list[0], ...list.slice(2)].join('\n') + '\n')}`,
+      '! Title: SugarCoat',
+      '! Version: 1.2.0',
+      '! Last modified: 2021-10-19T12:30:00.000Z',
+      '! Expires: 4 days',
+      '! Homepage: https://github.com/brave-experiments/sugarcoat-pipeline',
+      '! License: MPL-2.0',
+      '! https://a.com',
+      rule('cdn.com/a.js', 'a'),
+      rule('cdn.com/z.js', 'z'),
+    ]);
+    // The checksum line itself is left out of the checksum
+    expect(listChecksum(list.join('\n') + '\n')).to.equal(list[1].slice('! Checksum: '.length));
+  });
+
+  it('replaces the header of a published list', () => {
+    const ctx = createContext();
+    const list = formatPublishedList(ctx, lines, date);
+    expect(list[3]).to.equal('! Version: 202110191230');
+    expect(formatPublishedList(ctx, list, date)).to.deep.equal(list);
+  });
+
+  it('indexes the SHA-256 and SRI string of every script', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-publish-'));
+    fs.writeFileSync(path.join(dir, 'sugarcoat-a.js'), 'var a;');
+    fs.writeFileSync(path.join(dir, 'other.js'), 'var other;');
+    const indexFile = path.join(dir, 'index.json');
+    const resources = await writeResourcesIndex(dir, indexFile);
+    const written = JSON.parse(fs.readFileSync(indexFile, 'UTF-8'));
+    fs.rmSync(dir, { recursive: true, force: true });
+    const digest = crypto.createHash('sha256').update('var a;').digest();
+    expect(resources).to.deep.equal([
+      {
+        name: 'sugarcoat-a',
+        file: 'sugarcoat-a.js',
+        size: 6,
+        sha256: digest.toString('hex'),
+        integrity: `sha256-${digest.toString('base64')}`,
+      },
+    ]);
+    expect(written).to.deep.equal(resources);
+  });
+});
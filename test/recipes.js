@@ -0,0 +1,69 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import { expect } from 'chai';
+import {
+  createContext,
+  loadAllRecipes,
+  checkPolicyRecipes,
+  scaffoldRecipe,
+  newRecipe,
+} from '../src/index.js';
+
+describe('Recipes', () => {
+  let tmpDir;
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-recipes-'));
+  });
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('rejects policy APIs without a recipe', async () => {
+    const policy = path.join(tmpDir, 'policy.json');
+    fs.writeFileSync(
+      policy,
+      JSON.stringify({
+        policy: { include: ['Document#cookie', 'Window#localStorge'] },
+        overrides: [{ domains: ['a.com'], include: ['Navigator#language'] }],
+      })
+    );
+    let error;
+    try {
+      await checkPolicyRecipes(createContext({ policy }));
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.match(/^No recipe for Window#localStorge, Navigator#language in /);
+  });
+
+  it('scaffolds recipes into the recipes directory', async () => {
+    expect(scaffoldRecipe('Window#fetch', 'fetch')).to.deep.equal({
+      sourceObject: ['window'],
+      sourceProperty: 'fetch',
+      destinationMock: 'fetch',
+    });
+    const ctx = createContext({ recipes: tmpDir });
+    const { file } = await newRecipe(ctx, 'Navigator#language', 'navigator');
+    expect(path.basename(file)).to.equal('Navigator#language.json');
+    const recipes = await loadAllRecipes(ctx);
+    expect(recipes['Navigator#language']).to.deep.equal({
+      sourceObject: ['Navigator', 'prototype'],
+      sourceProperty: 'language',
+      destinationMock: 'navigator',
+    });
+    expect(recipes['Navigator#userAgent'].destinationMock).to.equal('navigatorId');
+  });
+
+  it('rejects invalid recipes and unknown mocks', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'Navigator#language.json'), '{"sourceProperty": 1}');
+    let error;
+    try {
+      await loadAllRecipes(createContext({ recipes: tmpDir }));
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.match(/^Invalid recipe .*Navigator#language\.json: sourceObject/);
+    expect(() => scaffoldRecipe('Navigator#language', 'nav')).to.throw(/^Unknown mock nav/);
+  });
+});
@@ -0,0 +1,92 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import { expect } from 'chai';
+import {
+  createContext,
+  tokenize,
+  diffTokens,
+  formatDiffReport,
+  minifyScripts,
+} from '../src/index.js';
+
+describe('Review artifacts', () => {
+  const recipes = {
+    'Document#cookie': {
+      sourceObject: ['Document', 'prototype'],
+      sourceProperty: 'cookie',
+      destinationMock: 'cookies',
+    },
+  };
+
+  it('diffs scripts token by token', () => {
+    const runs = diffTokens(
+      tokenize('var a = document.cookie;'),
+      tokenize('var a = mock.cookie;')
+    );
+    expect(runs).to.deep.equal([
+      { type: 'equal', tokens: ['var', ' ', 'a', ' ', '=', ' '] },
+      { type: 'removed', tokens: ['document'] },
+      { type: 'added', tokens: ['mock'] },
+      { type: 'equal', tokens: ['.', 'cookie', ';'] },
+    ]);
+    expect(diffTokens(tokenize('a b c'), tokenize('x y z'), 2)).to.equal(null);
+  });
+
+  it('links rewritten API accesses to the policy in a self-contained page', () => {
+    const entry = {
+      name: 'script1',
+      originalUrl: 'https://cdn.com/script1.js',
+      resource: 'sugarcoat-script1',
+      policyApis: ['Document#cookie'],
+      observedApis: ['Document#cookie'],
+    };
+    const html = formatDiffReport(
+      entry,
+      'var c = document.cookie;',
+      'var c = $cookies.cookie;',
+      recipes
+    );
+    expect(html).to.include('<del>document</del>');
+    expect(html).to.include(
+      '<ins>$<a class="api" href="#api-Document-cookie" title="Document#cookie">cookies</a></ins>'
+    );
+    expect(html).to.include('<li id="api-Document-cookie"><code>Document#cookie</code>');
+    expect(html).to.include('1 highlighted rewrite(s), seen in the trace');
+    expect(html).not.to.match(/(src|href)="(https?:)?\/\//);
+  });
+
+  it('writes a source map back to the unminified script', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-sourcemap-'));
+    const ctx = createContext({ output: tmpDir });
+    fs.mkdirSync(ctx.sugarcoatedScriptsDir);
+    const script = path.join(ctx.sugarcoatedScriptsDir, 'sugarcoat-a.js');
+    const source = 'function read(name) {\n  return document.cookie + name;\n}\n';
+    fs.writeFileSync(script, source);
+    await minifyScripts(ctx);
+    const minified = fs.readFileSync(script, 'UTF-8');
+    const map = JSON.parse(
+      fs.readFileSync(path.join(ctx.sourceMapsDir, 'sugarcoat-a.js.map'), 'UTF-8')
+    );
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    expect(minified).not.to.include('sourceMappingURL');
+    expect(map.file).to.equal('sugarcoat-a.js');
+    expect(map.sources).to.deep.equal(['unminified/sugarcoat-a.js']);
+    expect(map.sourcesContent).to.deep.equal([source]);
+  });
+
+  it('minifies scripts named after the hash of their contents', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-minify-'));
+    const ctx = createContext({ output: tmpDir });
+    fs.mkdirSync(ctx.sugarcoatedScriptsDir);
+    const script = path.join(ctx.sugarcoatedScriptsDir, `sugarcoat-${'0'.repeat(40)}`);
+    fs.writeFileSync(script, 'function read(name) {\n  return document.cookie + name;\n}\n');
+    const minifiedScripts = await minifyScripts(ctx);
+    const minified = fs.readFileSync(script, 'UTF-8');
+    const hasMap = fs.existsSync(path.join(ctx.sourceMapsDir, `${path.basename(script)}.map`));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    expect(minifiedScripts).to.deep.equal([script]);
+    expect(minified).to.equal('function read(e){return document.cookie+e}');
+    expect(hasMap).to.equal(true);
+  });
+});
@@ -0,0 +1,135 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import vm from 'vm';
+import {
+  createContext,
+  tweakRules,
+  pageScriptUrl,
+  sourceFingerprint,
+  isFunctionSource,
+  formatScriptlet,
+  formatScriptletRule,
+  parseScriptletRule,
+} from '../src/index.js';
+
+describe('Scriptlets', () => {
+  it('names page scripts after their page and recognizes their source', () => {
+    expect(pageScriptUrl('https://a.com/page#top', 'inline-0123')).to.equal(
+      'https://a.com/page#inline-0123'
+    );
+    expect(sourceFingerprint('load()')).to.equal(sourceFingerprint('load()'));
+    expect(sourceFingerprint('load()')).to.match(/^6:[0-9a-f]+$/);
+    expect(sourceFingerprint('load();')).not.to.equal(sourceFingerprint('load()'));
+  });
+
+  it('writes and reads scriptlet rules', () => {
+    const rule = formatScriptletRule({
+      pageDomains: ['a.com', 'b.com'],
+      resourceName: 'sugarcoat-abc',
+    });
+    expect(rule).to.equal('a.com,b.com##+js(sugarcoat-abc)');
+    expect(parseScriptletRule(rule)).to.deep.equal({
+      pageDomains: ['a.com', 'b.com'],
+      resourceName: 'sugarcoat-abc',
+    });
+    expect(parseScriptletRule('||cdn.com/a.js$redirect=sugarcoat-abc')).to.equal(null);
+    expect(parseScriptletRule('! a.com##+js(sugarcoat-abc)')).to.equal(null);
+  });
+
+  it('swaps code compiled by new Function for its patched version', () => {
+    const context = vm.createContext({});
+    vm.runInContext('var window = globalThis; var calls = [];', context);
+    const functionSource = '(function anonymous(a\n) {\ntrack(a)\n})';
+    expect(isFunctionSource(functionSource)).to.equal(true);
+    expect(isFunctionSource('track()')).to.equal(false);
+    vm.runInContext(
+      formatScriptlet({
+        kind: 'eval',
+        fingerprint: sourceFingerprint(functionSource),
+        patched: '(function (a) { calls.push("patched " + a); })',
+      }),
+      context
+    );
+    const result = vm.runInContext(
+      `var track = function (a) { calls.push("original " + a); };
+      new Function("a", "track(a)")("function");
+      Function("b", "track(b)")("other");
+      eval("track('eval')");
+      function readLocal() { var x = 1; return eval("x"); }
+      readLocal()`,
+      context
+    );
+    // eval is left alone, direct calls still see the local variables of their caller
+    expect(result).to.equal(1);
+    expect(context.calls).to.deep.equal(['patched function', 'original other', 'original eval']);
+  });
+
+  it('swaps inline scripts for their patched version before they run', () => {
+    let observe;
+    const inserted = [];
+    const context = vm.createContext({
+      MutationObserver: function (callback) {
+        this.observe = () => (observe = callback);
+      },
+      document: { createElement: nodeName => ({ nodeName }) },
+    });
+    vm.runInContext(
+      formatScriptlet({
+        kind: 'inline',
+        fingerprint: sourceFingerprint('load()'),
+        patched: 'patched()',
+      }),
+      context
+    );
+    const parentNode = { insertBefore: node => inserted.push(node) };
+    const original = { nodeName: 'SCRIPT', src: '', text: 'load()', nonce: 'n0', parentNode };
+    const other = { nodeName: 'SCRIPT', src: '', text: 'other()', parentNode };
+    observe([{ addedNodes: [original, other] }]);
+    expect(original.type).to.equal('text/x-sugarcoat-original');
+    expect(other.type).to.equal(undefined);
+    expect(inserted).to.deep.equal([{ nodeName: 'script', nonce: 'n0', text: 'patched()' }]);
+  });
+
+  it('gives page scripts scriptlet rules instead of redirects', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-scriptlets-'));
+    const ctx = createContext({ output: tmpDir });
+    const inlineUrl = pageScriptUrl('https://a.com/', 'inline-0123');
+    fs.writeFileSync(
+      ctx.rulesFile,
+      [
+        'https://cdn.com/t.js$script,redirect=sugarcoat-t',
+        `${inlineUrl}$script,redirect=sugarcoat-inline-0123`,
+        '',
+      ].join(os.EOL)
+    );
+    Object.assign(ctx.scriptNameToUrl, { t: 'https://cdn.com/t.js', 'inline-0123': inlineUrl });
+    ctx.pageScripts['inline-0123'] = { kind: 'inline', fingerprint: '6:0' };
+    ctx.scriptUrlToPageDomains[inlineUrl] = new Set(['b.com', 'a.com']);
+    const { rules, redirects, scriptlets } = await tweakRules(
+      ctx,
+      { 'sugarcoat-inline-0123': 'sugarcoat-f00' },
+      ['https://a.com/', 'https://b.com/']
+    );
+    // Nothing sugarcoated: only the header is left
+    fs.writeFileSync(ctx.rulesFile, '');
+    const empty = await tweakRules(ctx, {}, ['https://a.com/']);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    expect(empty.redirects).to.deep.equal([]);
+    expect(redirects.map(({ resourceName }) => resourceName)).to.deep.equal(['sugarcoat-t']);
+    expect(scriptlets).to.deep.equal([
+      {
+        name: 'inline-0123',
+        kind: 'inline',
+        pageDomains: ['a.com', 'b.com'],
+        resourceName: 'sugarcoat-f00',
+      },
+    ]);
+    expect(rules.map(rule => rule.trim()).slice(-3)).to.deep.equal([
+      '||cdn.com/t.js$script,domain=a.com|b.com,redirect=sugarcoat-t',
+      '! Inline and evaluated scripts, patched by scriptlets rather than redirected',
+      'a.com,b.com##+js(sugarcoat-f00)',
+    ]);
+  });
+});
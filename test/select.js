@@ -0,0 +1,60 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import { expect } from 'chai';
+import { createSelector, loadSelector, createContext } from '../src/index.js';
+
+describe('Script selection', () => {
+  const pageUrl = 'https://www.news.com/article';
+  const script = (url, filters = {}) => ({ url, request_type: 'script', ...filters });
+  const excepted = script('https://cdn.com/a.js', {
+    blocking_filter: '||cdn.com^',
+    exception_filter: '@@||cdn.com/a.js',
+  });
+  const blocked = script('https://ads.com/b.js', { blocking_filter: '||ads.com^' });
+  const firstParty = script('https://static.news.com/c.js');
+
+  it('picks blocked but excepted requests by default', async () => {
+    const select = createSelector();
+    expect(await select(excepted, pageUrl)).to.equal(
+      'blocked by ||cdn.com^, excepted by @@||cdn.com/a.js'
+    );
+    expect(await select(blocked, pageUrl)).to.equal(null);
+  });
+
+  it('combines strategies', async () => {
+    const select = createSelector(['blocked', 'third-party']);
+    expect(await select(excepted, pageUrl)).to.equal('third-party script on news.com');
+    expect(await select(blocked, pageUrl)).to.equal(
+      'blocked by ||ads.com^; third-party script on news.com'
+    );
+    expect(await select(firstParty, pageUrl)).to.equal(null);
+  });
+
+  it('picks scripts matching patterns or listed in an allowlist', async () => {
+    const allowlistFile = path.join(os.tmpdir(), 'sugarcoat-allowlist.txt');
+    fs.writeFileSync(allowlistFile, '# first-party scripts\nnews.com\nhttps://cdn.com/*.js\n');
+    const select = await loadSelector(
+      createContext({
+        select: ['pattern', 'allowlist'],
+        selectPatterns: ['/b\\.js$'],
+        selectAllowlist: allowlistFile,
+      })
+    );
+    fs.unlinkSync(allowlistFile);
+    expect(await select(blocked, pageUrl)).to.equal('matches /\\/b\\.js$/');
+    expect(await select(firstParty, pageUrl)).to.equal('listed in sugarcoat-allowlist.txt');
+    expect(await select(excepted, pageUrl)).to.equal('listed in sugarcoat-allowlist.txt');
+    expect(await select({ ...excepted, request_type: 'image' }, pageUrl)).to.equal(null);
+  });
+
+  it('rejects patterns without the pattern strategy', async () => {
+    let error;
+    try {
+      await loadSelector(createContext({ selectPatterns: ['ads'] }));
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.match(/^The pattern selection strategy needs select patterns/);
+  });
+});
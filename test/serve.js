@@ -0,0 +1,122 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import { expect } from 'chai';
+import { createContext, serveJobs, validateJobRequest } from '../src/index.js';
+import { request } from './helpers/http.js';
+
+const simpleDir = path.resolve(path.join('test', 'cases', 'simple'));
+const graphFile = 'page_graph_295E3518691769578ECF8472F836FC51.0.graphml';
+
+describe('Job service', () => {
+  let tmpDir;
+  let service;
+
+  const post = body =>
+    request(`${service.url}/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-serve-'));
+    service = await serveJobs(createContext({ output: tmpDir, port: 0 }));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => service.server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('checks jobs before queueing them', async () => {
+    expect(() => validateJobRequest({})).to.throw(
+      'A job must have at least one URL (via urls or url)'
+    );
+    expect(() =>
+      validateJobRequest({ url: 'http://localhost', graphs: { '../x.graphml': '' } })
+    ).to.throw('Invalid file name ../x.graphml');
+    expect(() =>
+      validateJobRequest({ urls: ['http://a.com', 'http://b.com'], graphs: { 'a.graphml': '' } })
+    ).to.throw('Got graphs for 1 URLs out of 2');
+    const res = await post({ url: 'http://localhost', options: { mergeInto: 'list.txt' } });
+    expect(res.status).to.equal(400);
+    expect((await res.json()).error).to.match(/^Unknown option mergeInto, must be one of secs,/);
+    for (const option of ['verify', 'selectPatterns']) {
+      const res = await post({ url: 'http://localhost', options: { [option]: true } });
+      expect((await res.json()).error).to.match(new RegExp(`^Unknown option ${option},`));
+    }
+    const invalid = await post({
+      url: 'http://localhost',
+      options: { secs: -5, crawlDepth: 'x', minify: 'yes' },
+    });
+    expect(invalid.status).to.equal(400);
+    expect((await invalid.json()).error).to.equal(
+      'Invalid options: secs: must be at least 1, got -5; crawlDepth: must be an integer,' +
+        ' got "x"; minify: must be true or false, got "yes"'
+    );
+    expect(service.jobs.size).to.equal(0);
+    expect((await post('{')).status).to.equal(400);
+    expect((await request(`${service.url}/jobs/nope`)).status).to.equal(404);
+  });
+
+  it('runs each job in its own output directory and reports its status and logs', async () => {
+    const graphml = fs.readFileSync(path.join(simpleDir, graphFile), 'UTF-8');
+    const res = await post({ url: 'http://localhost', graphs: { [graphFile]: graphml } });
+    expect(res.status).to.equal(202);
+    const { id, status, url } = await res.json();
+    expect(status).to.equal('queued');
+    expect(url).to.equal(`/jobs/${id}`);
+    await service.jobs.get(id).done;
+    const job = await (await request(`${service.url}/jobs/${id}`)).json();
+    // The server has no filter lists and the job brings none
+    expect(job.status).to.equal('failed');
+    expect(job.error).to.equal('Must provide at least one filter list (via filterLists)');
+    expect(job.logs[0]).to.equal('Precheck and clean...');
+    expect(job.logs[1]).to.match(/^Summary all failed in \d+ms \(failures: 1\): Must provide/);
+    // The failure is kept, even though the output of the failed run is erased
+    const failureLog = path.join(tmpDir, 'jobs', id, 'output', 'sugarcoat_failures.log');
+    expect(JSON.parse(fs.readFileSync(failureLog, 'UTF-8'))).to.include({
+      type: 'summary',
+      name: 'all',
+      status: 'failed',
+      error: job.error,
+    });
+    expect(
+      fs.readFileSync(path.join(tmpDir, 'jobs', id, 'inputs', 'graphs', '0', graphFile), 'UTF-8')
+    ).to.equal(graphml);
+    expect((await request(`${service.url}/jobs/${id}/rules`)).status).to.equal(409);
+    const jobs = await (await request(`${service.url}/jobs`)).json();
+    expect(jobs.map(({ id, status }) => ({ id, status }))).to.deep.equal([
+      { id, status: 'failed' },
+    ]);
+  });
+
+  it('serves the scripts of a job under the names it lists', async () => {
+    // A succeeded job, its script named after its hash as by default
+    const id = 'done';
+    const dir = path.join(tmpDir, 'jobs', id);
+    const scriptsDir = path.join(dir, 'output', 'sugarcoat_scripts');
+    const script = path.join(scriptsDir, `sugarcoat-${'0'.repeat(40)}`);
+    fs.mkdirSync(scriptsDir, { recursive: true });
+    fs.writeFileSync(script, 'patched();');
+    service.jobs.set(id, {
+      id,
+      status: 'succeeded',
+      urls: ['http://localhost'],
+      dir,
+      outputDir: path.join(dir, 'output'),
+      logs: [],
+      result: { rules: [], sugarcoatedScripts: [script] },
+    });
+    const job = await (await request(`${service.url}/jobs/${id}`)).json();
+    expect(job.scripts).to.deep.equal([
+      { name: path.basename(script), url: `/jobs/${id}/scripts/${path.basename(script)}` },
+    ]);
+    const res = await request(`${service.url}${job.scripts[0].url}`);
+    expect(res.status).to.equal(200);
+    expect(await res.text()).to.equal('patched();');
+    expect((await request(`${service.url}/jobs/${id}/scripts/..%2Frules`)).status).to.equal(400);
+    expect((await request(`${service.url}/jobs/${id}/scripts/other.js`)).status).to.equal(404);
+  });
+});
@@ -3,6 +3,8 @@ import * as fs from 'fs';
 import { expect } from 'chai';
 import * as path from 'path';
 import os from 'os';
+import { runPipeline, runCommand } from '../src/index.js';
+import { request } from './helpers/http.js';
 
 const testCasesDirBase = path.resolve(path.join('test', 'cases'));
 const outputDir = path.resolve(path.join('test', 'output'));
@@ -11,6 +13,10 @@ const trace = path.join(outputDir, '/sugarcoat_trace.json');
 const scripts = path.join(outputDir, '/scripts');
 const sugarcoat_scripts = path.join(outputDir, '/sugarcoat_scripts');
 const DEBUG = process.env.DEBUG;
+// APIs of the default policy.json, listed in the header of the rules
+const policyComment =
+  '! Policy: Window#Storage, Document#cookie, Window#fetch, Window#localStorage,' +
+  ' Window#sessionStorage, Window#XMLHttpRequest, XMLHttpRequest';
 
 beforeEach('Test set up', () => {
   fs.mkdirSync(outputDir, { recursive: true });
@@ -35,7 +41,7 @@ describe('SugarCoat Pipeline CLI', () => {
     // Check output/
     expect(fs.existsSync(rules)).to.be.true;
     expect(fs.existsSync(path.join(sugarcoat_scripts, '/sugarcoat-script1.js'))).to.be.true;
-    const rulesString = `! http://localhost${os.EOL}||localhost:8000/script1.js$script,important,domain=localhost,redirect=sugarcoat-script1${os.EOL}`;
+    const rulesString = `! http://localhost${os.EOL}! Selection: excepted${os.EOL}${policyComment}${os.EOL}||localhost:8000/script1.js$script,important,domain=localhost,redirect=sugarcoat-script1${os.EOL}`;
     expect(fs.readFileSync(rules, 'UTF-8')).to.equal(rulesString);
   });
 
@@ -54,7 +60,7 @@ describe('SugarCoat Pipeline CLI', () => {
     expect(fs.existsSync(rules)).to.be.true;
     expect(fs.existsSync(path.join(sugarcoat_scripts, '/sugarcoat-script1.js'))).to.be.true;
     let rulesString =
-      `! http://localhost${os.EOL}||localhost:8080/script1.js$script,important,domain=localhost,redirect=sugarcoat-script1${os.EOL}` +
+      `! http://localhost${os.EOL}! Selection: excepted${os.EOL}${policyComment}${os.EOL}||localhost:8080/script1.js$script,important,domain=localhost,redirect=sugarcoat-script1${os.EOL}` +
       `||localhost:8080/script2.js$script,important,domain=localhost,redirect=sugarcoat-script2${os.EOL}`;
     DEBUG && console.log(fs.readFileSync(trace, 'UTF-8'));
     expect(fs.readFileSync(rules, 'UTF-8')).to.equal(rulesString);
@@ -85,10 +91,61 @@ describe('SugarCoat Pipeline CLI', () => {
     // Check output/
     expect(fs.existsSync(rules)).to.be.true;
     expect(fs.existsSync(path.join(sugarcoat_scripts, '/sugarcoat-script1.js'))).to.be.true;
-    const rulesString = `! http://localhost${os.EOL}||localhost:8000/script1.js$script,important,domain=localhost,redirect=sugarcoat-script1${os.EOL}`;
+    const rulesString = `! http://localhost${os.EOL}! Selection: excepted${os.EOL}${policyComment}${os.EOL}||localhost:8000/script1.js$script,important,domain=localhost,redirect=sugarcoat-script1${os.EOL}`;
     expect(fs.readFileSync(rules, 'UTF-8')).to.equal(rulesString);
   });
 
+  it('merges rules when sugarcoating several URLs', () => {
+    const simpleTestDir = path.join(testCasesDirBase, '/simple');
+    const exceptionsTestDir = path.join(testCasesDirBase, '/exceptions');
+    const listPath = path.join(simpleTestDir, 'list.txt');
+    execSync(
+      `npm run sugarcoat-pipeline -- -u http://localhost http://example.com -s -o ${outputDir} -g ${simpleTestDir} ${exceptionsTestDir} -l ${listPath} -k`,
+      {
+        stdio: 'inherit',
+      }
+    );
+    // Check output/
+    expect(fs.existsSync(rules)).to.be.true;
+    expect(fs.existsSync(path.join(sugarcoat_scripts, '/sugarcoat-script1.js'))).to.be.true;
+    const rulesString =
+      `! http://localhost${os.EOL}! http://example.com${os.EOL}! Selection: excepted${os.EOL}${policyComment}${os.EOL}` +
+      `||localhost:8000/script1.js$script,important,domain=localhost|example.com,redirect=sugarcoat-script1${os.EOL}`;
+    expect(fs.readFileSync(rules, 'UTF-8')).to.equal(rulesString);
+  });
+
+  it('writes resources and rules for other blockers', () => {
+    const testDir = path.join(testCasesDirBase, '/simple');
+    const listPath = path.join(testDir, 'list.txt');
+    execSync(
+      `npm run sugarcoat-pipeline -- -u http://localhost -s -o ${outputDir} -g ${testDir} -l ${listPath} -k --format brave ubo dnr`,
+      {
+        stdio: 'inherit',
+      }
+    );
+    const script = fs.readFileSync(path.join(sugarcoat_scripts, '/sugarcoat-script1.js'), 'UTF-8');
+    const braveResources = JSON.parse(
+      fs.readFileSync(path.join(outputDir, '/sugarcoat_resources_brave.json'), 'UTF-8')
+    );
+    expect(braveResources.map(resource => resource.name)).to.deep.equal(['sugarcoat-script1']);
+    expect(Buffer.from(braveResources[0].content, 'base64').toString()).to.equal(script);
+    const uboResources = fs.readFileSync(
+      path.join(outputDir, '/sugarcoat_resources_ubo.txt'),
+      'UTF-8'
+    );
+    expect(uboResources.startsWith('sugarcoat-script1 application/javascript\n')).to.be.true;
+    const dnrRules = JSON.parse(
+      fs.readFileSync(path.join(outputDir, '/sugarcoat_dnr/rules.json'), 'UTF-8')
+    );
+    expect(dnrRules[0].condition).to.deep.equal({
+      urlFilter: '||localhost:8000/script1.js',
+      resourceTypes: ['script'],
+      initiatorDomains: ['localhost'],
+    });
+    const dnrScript = path.join(outputDir, '/sugarcoat_dnr/sugarcoat/sugarcoat-script1.js');
+    expect(fs.readFileSync(dnrScript, 'UTF-8')).to.equal(script);
+  });
+
   it('soundcloud.com', () => {
     const testDir = testCasesDirBase + '/soundcloud.com';
     let listPath = path.join(testDir, 'easylist.txt');
@@ -100,6 +157,176 @@ describe('SugarCoat Pipeline CLI', () => {
     );
     // Check output/
     expect(fs.existsSync(rules)).to.be.true;
-    expect(fs.readFileSync(rules, 'UTF-8')).to.equal('');
+    // Nothing is sugarcoated, only the header is written
+    expect(fs.readFileSync(rules, 'UTF-8')).to.equal(
+      ['! http://localhost', '! Selection: excepted', policyComment, ''].join(os.EOL)
+    );
+  });
+});
+
+describe('SugarCoat Pipeline API', () => {
+  it('sugarcoats for simple case', async () => {
+    const testDir = path.join(testCasesDirBase, '/simple');
+    const result = await runPipeline({
+      urls: 'http://localhost',
+      output: outputDir,
+      graphsDirOverrides: testDir,
+      filterLists: [path.join(testDir, 'list.txt')],
+      keepOriginalScriptName: true,
+      keep: true,
+    });
+    expect(result.rules).to.deep.equal([
+      '! http://localhost',
+      '! Selection: excepted',
+      policyComment,
+      '||localhost:8000/script1.js$script,important,domain=localhost,redirect=sugarcoat-script1',
+    ]);
+    expect(result.scripts).to.deep.equal({ script1: 'https://localhost:8000/script1.js' });
+    expect(result.sugarcoatedScripts).to.deep.equal([
+      path.join(sugarcoat_scripts, '/sugarcoat-script1.js'),
+    ]);
+    expect(result.stages.map(stage => stage.name)).to.include.members(['sources', 'sugarcoat']);
+    const manifest = JSON.parse(fs.readFileSync(result.manifestFile, 'UTF-8'));
+    expect(manifest.scripts.map(script => script.originalUrl)).to.deep.equal([
+      'https://localhost:8000/script1.js',
+    ]);
+    expect(manifest.scripts[0].matches[0].filterList).to.equal(path.join(testDir, 'list.txt'));
+  });
+
+  it('rejects missing filter lists', async () => {
+    const testDir = path.join(testCasesDirBase, '/simple');
+    let error;
+    try {
+      await runPipeline({
+        urls: 'http://localhost',
+        output: outputDir,
+        graphsDirOverrides: testDir,
+        filterLists: [path.join(testDir, 'missing.txt')],
+        keep: true,
+      });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal(`${path.join(testDir, 'missing.txt')} not found!`);
+  });
+
+  it('runs the stages one at a time and reruns them from their inputs', async () => {
+    const testDir = path.join(testCasesDirBase, '/simple');
+    const options = {
+      urls: 'http://localhost',
+      output: outputDir,
+      graphsDirOverrides: testDir,
+      filterLists: [path.join(testDir, 'list.txt')],
+      keepOriginalScriptName: true,
+    };
+    const { crawls } = await runCommand('crawl', options);
+    expect(crawls.map(crawl => crawl.graphsDir)).to.deep.equal([testDir]);
+    const { scripts } = await runCommand('extract', options);
+    expect(scripts).to.deep.equal({ script1: 'https://localhost:8000/script1.js' });
+    await runCommand('patch', options);
+    const rules = [
+      '! http://localhost',
+      '! Selection: excepted',
+      policyComment,
+      '||localhost:8000/script1.js$script,important,domain=localhost,redirect=sugarcoat-script1',
+    ];
+    expect((await runCommand('bundle', options)).rules).to.deep.equal(rules);
+    // Patching again, e.g. after changing the policy, only needs the extracted scripts
+    await runCommand('patch', options);
+    expect((await runCommand('bundle', options)).rules).to.deep.equal(rules);
+    const state = JSON.parse(fs.readFileSync(path.join(outputDir, '/state.json'), 'UTF-8'));
+    expect(state.completed).to.deep.equal(['crawl', 'extract', 'patch', 'bundle']);
+  });
+
+  it('explains why scripts are picked or not', async () => {
+    const testDir = path.join(testCasesDirBase, '/exceptions');
+    const explain = async list => {
+      const { explanation } = await runPipeline({
+        urls: 'http://localhost',
+        output: outputDir,
+        graphsDirOverrides: testDir,
+        filterLists: [path.join(testDir, list)],
+        explain: true,
+        keep: true,
+      });
+      return explanation.map(({ url, status }) => ({ url, status }));
+    };
+    expect(await explain('list_without_exception.txt')).to.deep.equal([
+      { url: 'https://localhost:8000/script1.js', status: 'blocked' },
+    ]);
+    expect(await explain('list.txt')).to.deep.equal([
+      { url: 'https://localhost:8000/script1.js', status: 'selected' },
+    ]);
+    expect(fs.existsSync(scripts) && fs.readdirSync(scripts)).to.deep.equal([]);
+  });
+
+  it('finds no stale rules when scripts did not change', async () => {
+    const testDir = path.join(testCasesDirBase, '/simple');
+    const options = {
+      output: outputDir,
+      graphsDirOverrides: testDir,
+      filterLists: [path.join(testDir, 'list.txt')],
+    };
+    await runPipeline({ ...options, urls: 'http://localhost' });
+    const { ok, scripts } = await runCommand('check', options);
+    expect(ok).to.be.true;
+    expect(scripts.map(({ originalUrl, status }) => ({ originalUrl, status }))).to.deep.equal([
+      { originalUrl: 'https://localhost:8000/script1.js', status: 'unchanged' },
+    ]);
+  });
+
+  it('refuses to run a stage before the previous ones', async () => {
+    let error;
+    try {
+      await runCommand('patch', { output: outputDir });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.match(/^Cannot run patch: crawl, extract not finished/);
+  });
+});
+
+describe('SugarCoat job service', () => {
+  it('sugarcoats uploaded graphs offline', async () => {
+    const testDir = path.join(testCasesDirBase, '/simple');
+    const graphFile = 'page_graph_295E3518691769578ECF8472F836FC51.0.graphml';
+    const { server, url } = await runCommand('serve', { output: outputDir, port: 0 });
+    try {
+      const res = await request(`${url}/jobs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          url: 'http://localhost',
+          graphs: { [graphFile]: fs.readFileSync(path.join(testDir, graphFile), 'UTF-8') },
+          filterLists: { 'list.txt': fs.readFileSync(path.join(testDir, 'list.txt'), 'UTF-8') },
+        }),
+      });
+      const { id } = await res.json();
+      let job;
+      do {
+        await new Promise(resolve => setTimeout(resolve, 200));
+        job = await (await request(`${url}/jobs/${id}`)).json();
+      } while (['queued', 'running'].includes(job.status));
+      expect(job.status).to.equal('succeeded');
+      expect(job.outputDir).to.equal(path.join(outputDir, 'jobs', id, 'output'));
+      // Scripts are named after their hash by default, without .js
+      expect(job.scripts).to.have.lengthOf(1);
+      const [{ name }] = job.scripts;
+      expect(name).to.match(/^sugarcoat-[0-9a-f]+$/);
+      expect(job.scripts[0].url).to.equal(`/jobs/${id}/scripts/${name}`);
+      expect(job.rules).to.deep.equal([
+        '! http://localhost',
+        '! Selection: excepted',
+        policyComment,
+        `||localhost:8000/script1.js$script,important,domain=localhost,redirect=${name}`,
+      ]);
+      const scriptRes = await request(`${url}${job.scripts[0].url}`);
+      expect(scriptRes.status).to.equal(200);
+      expect(await scriptRes.text()).to.equal(
+        fs.readFileSync(path.join(job.outputDir, 'sugarcoat_scripts', name), 'UTF-8')
+      );
+    } finally {
+      server.close();
+    }
   });
 });
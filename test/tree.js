@@ -0,0 +1,147 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import {
+  createContext,
+  readGraphml,
+  requestTree,
+  buildScriptTree,
+  selectTreeScripts,
+  annotateScriptTrees,
+  formatScriptTreeDot,
+  writeScriptTrees,
+  cleanIntermediaryFiles,
+} from '../src/index.js';
+import { requestIdInfo } from '../src/graphml.js';
+
+const scriptCallsScriptGraph = path.resolve(
+  path.join(
+    'test',
+    'cases',
+    'test-script-calls-script-calls-script',
+    'page_graph_525C3541E1B40E0A44496AFEC83CDE0F.0.graphml'
+  )
+);
+
+// script1.js, which loads script2.js, which loads scevent.min.js
+const scriptCallsScriptTree = async () => {
+  const graph = await readGraphml(scriptCallsScriptGraph);
+  const tree = requestTree(graph, 'e73');
+  const scriptUrls = new Map(
+    tree.map(({ requestId }) => [requestId, requestIdInfo(graph, requestId).url])
+  );
+  const filters = new Map([['2', { blocking_filter: 'script1', exception_filter: '@@script1' }]]);
+  return buildScriptTree(tree, scriptUrls, filters);
+};
+
+const frame = { url: 'https://localhost:8080/', isRoot: true, frameId: '1' };
+
+describe('Script inclusion tree', () => {
+  it('keeps which script loaded which', async () => {
+    const root = await scriptCallsScriptTree();
+    expect(root.url).to.equal('https://localhost:8080/script1.js');
+    expect(root.blockingFilter).to.equal('script1');
+    expect(root.exceptionFilter).to.equal('@@script1');
+    expect(root.children.map(child => child.url)).to.deep.equal([
+      'https://localhost:8080/script2.js',
+    ]);
+    const [script2] = root.children;
+    expect(script2.blockingFilter).to.equal(null);
+    expect(script2.children.map(child => child.url)).to.deep.equal([
+      'https://sc-static.net/scevent.min.js',
+    ]);
+    expect(buildScriptTree([{ requestId: '1', parentRequestId: null }], new Map())).to.equal(null);
+  });
+
+  it('keeps scripts pulled in through requests that loaded no script', () => {
+    // a.js fetches data.json, whose response is evaluated into a request for c.js
+    const requests = [
+      { requestId: '1', parentRequestId: null },
+      { requestId: '2', parentRequestId: '1' },
+      { requestId: '3', parentRequestId: '2' },
+    ];
+    const urls = [
+      ['1', 'https://cdn.com/a.js'],
+      ['3', 'https://cdn.com/c.js'],
+    ];
+    const root = buildScriptTree(requests, new Map(urls));
+    expect(root.url).to.equal('https://cdn.com/a.js');
+    expect(root.children.map(child => child.url)).to.deep.equal(['https://cdn.com/c.js']);
+    expect(selectTreeScripts(root, 'all')).to.deep.equal(['1', '3']);
+
+    // The picked request is the fetch itself
+    const filters = new Map([['2', { url: 'https://cdn.com/data.json' }]]);
+    const fetchRoot = buildScriptTree(requests.slice(1), new Map(urls), filters);
+    expect(fetchRoot).to.include({ url: 'https://cdn.com/data.json', script: false });
+    expect(fetchRoot.children.map(child => child.url)).to.deep.equal(['https://cdn.com/c.js']);
+    ['all', 'root', 'leaves'].forEach(mode =>
+      expect(selectTreeScripts(fetchRoot, mode)).to.deep.equal(['3'])
+    );
+  });
+
+  it('selects the scripts to sugarcoat', async () => {
+    const root = await scriptCallsScriptTree();
+    expect(selectTreeScripts(root, 'all')).to.deep.equal(['2', '5', '7']);
+    expect(selectTreeScripts(root, 'root')).to.deep.equal(['2']);
+    expect(selectTreeScripts(root, 'leaves')).to.deep.equal(['7']);
+    expect(() => selectTreeScripts(root, 'middle')).to.throw(
+      'Unknown tree scripts mode middle, must be one of all,root,leaves'
+    );
+  });
+
+  it('marks sugarcoated scripts and writes JSON and DOT', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-tree-'));
+    try {
+      const ctx = createContext({ output: outputDir, treeScripts: 'leaves' });
+      ctx.scriptTrees.push({
+        pageUrl: 'https://localhost:8080/',
+        frame,
+        graphFile: scriptCallsScriptGraph,
+        filterList: 'list.txt',
+        reason: 'excepted by @@script1',
+        root: await scriptCallsScriptTree(),
+      });
+      const entries = [
+        {
+          name: 'sugarcoat-abc',
+          originalUrl: 'https://sc-static.net/other.js',
+          aliases: ['https://sc-static.net/scevent.min.js'],
+          resource: 'sugarcoat-abc',
+        },
+      ];
+      const annotated = annotateScriptTrees(ctx, entries);
+      expect(annotated.treeScripts).to.equal('leaves');
+      const [{ root }] = annotated.trees;
+      expect(root.frame).to.equal('https://localhost:8080/');
+      expect(root.sugarcoated).to.equal(false);
+      const scevent = root.children[0].children[0];
+      expect(scevent).to.include({
+        url: 'https://sc-static.net/scevent.min.js',
+        sugarcoated: true,
+        resource: 'sugarcoat-abc',
+      });
+
+      const dot = formatScriptTreeDot(annotated);
+      expect(dot).to.match(/^digraph scripts \{/);
+      expect(dot).to.include('tree0 -> tree0_2;');
+      expect(dot).to.include('tree0_2 -> tree0_5;');
+      expect(dot).to.include('tree0_5 -> tree0_7;');
+      expect(dot).to.include('blocked by script1\\nexcepted by @@script1\\nnot sugarcoated"');
+      expect(dot).to.include('sugarcoated as sugarcoat-abc", style=filled');
+
+      await writeScriptTrees(ctx, entries);
+      expect(JSON.parse(fs.readFileSync(ctx.scriptTreeFile, 'UTF-8'))).to.deep.equal(annotated);
+      expect(fs.readFileSync(ctx.scriptTreeDotFile, 'UTF-8')).to.equal(dot);
+
+      // Kept by the cleanup of runs without -k
+      fs.writeFileSync(ctx.traceFile, '{}');
+      await cleanIntermediaryFiles(ctx);
+      expect(fs.existsSync(ctx.traceFile)).to.equal(false);
+      expect(fs.readFileSync(ctx.scriptTreeDotFile, 'UTF-8')).to.equal(dot);
+      expect(fs.existsSync(ctx.scriptTreeFile)).to.equal(true);
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,89 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import {
+  createContext,
+  normalizeUrl,
+  isVersionSegment,
+  wildcardVersions,
+  tweakRules,
+} from '../src/index.js';
+
+describe('Script URLs', () => {
+  it('normalizes URLs ignoring the given query parameters', () => {
+    expect(normalizeUrl('https://cdn.com/a.js?v=2&b=1#top')).to.equal(
+      'https://cdn.com/a.js?b=1&v=2'
+    );
+    expect(normalizeUrl('https://cdn.com/a.js?v=2&b=1', ['v'])).to.equal(
+      'https://cdn.com/a.js?b=1'
+    );
+    expect(normalizeUrl('https://cdn.com/a.js?v=2&b=1', ['*'])).to.equal('https://cdn.com/a.js');
+  });
+
+  it('replaces differing version segments with wildcards', () => {
+    const wildcards = wildcardVersions([
+      '||cdn.com/lib/1.2.0/analytics.js',
+      '||cdn.com/lib/v1.3.1/analytics.js',
+      '||cdn.com/lib/1.2.0/other.js',
+      '||cdn.com/lib/latest/analytics.js',
+    ]);
+    expect(Object.fromEntries(wildcards)).to.deep.equal({
+      '||cdn.com/lib/1.2.0/analytics.js': '||cdn.com/lib/*/analytics.js',
+      '||cdn.com/lib/v1.3.1/analytics.js': '||cdn.com/lib/*/analytics.js',
+      '||cdn.com/lib/1.2.0/other.js': '||cdn.com/lib/1.2.0/other.js',
+      '||cdn.com/lib/latest/analytics.js': '||cdn.com/lib/latest/analytics.js',
+    });
+  });
+
+  it('only takes directories that look like versions for versions', () => {
+    ['1.2.3', 'v2', '3.4.1-beta', '1.0.0-rc.1', '0123456789abcdef'].forEach(segment =>
+      expect(isVersionSegment(segment), segment).to.equal(true)
+    );
+    ['5.min.js', 'cafebabe', 'deadbeefcafe', 'latest', 'v2.js'].forEach(segment =>
+      expect(isVersionSegment(segment), segment).to.equal(false)
+    );
+    const wildcards = wildcardVersions([
+      '||cdn.com/lib/1.2/5.min.js',
+      '||cdn.com/lib/1.3/6.min.js',
+    ]);
+    expect([...wildcards.values()]).to.deep.equal([...wildcards.keys()]);
+  });
+
+  it('keeps versions redirecting to different resources apart', async () => {
+    const resources = {
+      '||cdn.com/lib/1.2.0/a.js': 'sugarcoat-old',
+      '||cdn.com/lib/1.3.0/a.js': 'sugarcoat-new',
+    };
+    const wildcards = wildcardVersions(
+      Object.keys(resources),
+      urlPattern => resources[urlPattern]
+    );
+    expect([...wildcards.values()]).to.deep.equal(Object.keys(resources));
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-urls-'));
+    try {
+      const ctx = createContext({ output: tmpDir, wildcardVersions: true });
+      fs.writeFileSync(
+        ctx.rulesFile,
+        [
+          'https://cdn.com/lib/1.2.0/a.js$script,redirect=sugarcoat-old',
+          'https://cdn.com/lib/1.3.0/a.js$script,redirect=sugarcoat-new',
+          'https://cdn.com/lib/1.2.0/b.js$script,redirect=sugarcoat-b',
+          'https://cdn.com/lib/1.3.0/b.js$script,redirect=sugarcoat-b',
+          '',
+        ].join(os.EOL)
+      );
+      const { redirects } = await tweakRules(ctx, {}, ['https://a.com/']);
+      expect(
+        redirects.map(({ urlPattern, resourceName }) => [urlPattern, resourceName])
+      ).to.deep.equal([
+        ['||cdn.com/lib/1.2.0/a.js', 'sugarcoat-old'],
+        ['||cdn.com/lib/1.3.0/a.js', 'sugarcoat-new'],
+        ['||cdn.com/lib/*/b.js', 'sugarcoat-b'],
+      ]);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
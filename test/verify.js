@@ -0,0 +1,113 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as path from 'path';
+import os from 'os';
+import {
+  createContext,
+  loadRecipes,
+  parseScript,
+  runInSandbox,
+  verifyScripts,
+  VerificationError,
+} from '../src/index.js';
+
+describe('Verification', () => {
+  const policyApis = ['Navigator#userAgent', 'Document#cookie'];
+  let recipes;
+
+  before(async () => {
+    recipes = await loadRecipes();
+  });
+
+  it('reports scripts that fail to parse', () => {
+    expect(parseScript('var a = 1;', 'ok.js')).to.equal(null);
+    expect(parseScript('var a = ;', 'broken.js')).to.be.a('string');
+  });
+
+  it('detects policy APIs reached on the real objects', () => {
+    const source = `
+      var ua = navigator.userAgent;
+      window.addEventListener('load', function () { document.cookie = 'a=b'; });
+    `;
+    const { realAccesses, error } = runInSandbox(source, recipes, policyApis);
+    expect(error).to.equal(null);
+    expect(realAccesses).to.deep.equal(['Document#cookie', 'Navigator#userAgent']);
+  });
+
+  it('ignores policy APIs reached through mocks', () => {
+    const source = `
+      var mockNavigator = { userAgent: 'mock' };
+      var ua = mockNavigator.userAgent;
+      document.title = ua;
+    `;
+    const { realAccesses, error } = runInSandbox(source, recipes, policyApis);
+    expect(error).to.equal(null);
+    expect(realAccesses).to.deep.equal([]);
+  });
+
+  it('keeps scripts from reaching Node through the sandbox', () => {
+    const escapes = [
+      `this.constructor.constructor('return process')()`,
+      `addEventListener.constructor('return process')()`,
+      `setTimeout.constructor('return process')()`,
+      `({}).constructor.constructor('return process')()`,
+      `Object.getOwnPropertyDescriptor(Navigator.prototype, 'userAgent')` +
+        `.get.constructor('return process')()`,
+    ];
+    escapes.forEach(escape => {
+      const { error } = runInSandbox(`${escape}.exit(1);`, recipes, policyApis);
+      expect(error, escape).to.equal('process is not defined');
+    });
+  });
+
+  it('stops scripts that run too long', () => {
+    const { error } = runInSandbox(
+      `addEventListener('load', function () { for (;;) {} });`,
+      recipes,
+      policyApis
+    );
+    expect(error).to.match(/timed out/);
+  });
+
+  it('only warns about original scripts reaching none of their policy APIs', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sugarcoat-verify-'));
+    try {
+      const ctx = createContext({ output: tmpDir, log: () => {} });
+      fs.mkdirSync(ctx.scriptsDir, { recursive: true });
+      fs.mkdirSync(ctx.sugarcoatedScriptsDir, { recursive: true });
+      fs.writeFileSync(ctx.rulesFile, '');
+      // Only reads the cookie once the page calls it, which the sandbox never does
+      const source = 'window.readCookie = function () { return document.cookie; };';
+      fs.writeFileSync(path.join(ctx.scriptsDir, 'inline-0123.js'), source);
+      fs.writeFileSync(path.join(ctx.scriptsDir, 'sugarcoat-inline-0123.js'), source);
+      const sugarcoatedScript = path.join(ctx.sugarcoatedScriptsDir, 'sugarcoat-f00');
+      fs.writeFileSync(sugarcoatedScript, source);
+      const entry = {
+        name: 'inline-0123',
+        sugarcoatedScript,
+        policyApis: ['Document#cookie'],
+        injection: 'scriptlet',
+        resource: 'sugarcoat-f00',
+        matches: [],
+      };
+      const report = await verifyScripts(ctx, [entry], []);
+      expect(report.ok).to.equal(true);
+      expect(report.warnings).to.deep.equal([
+        "inline-0123: original script reaches none of its policy APIs in the sandbox, patched accesses can't be checked",
+      ]);
+
+      fs.writeFileSync(path.join(ctx.scriptsDir, 'sugarcoat-inline-0123.js'), 'var a = ;');
+      let error;
+      try {
+        await verifyScripts(ctx, [entry], []);
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an.instanceof(VerificationError);
+      expect(error.report.problems[0]).to.match(/^inline-0123: patched script fails to parse/);
+      expect(JSON.parse(fs.readFileSync(ctx.verifyReportFile, 'UTF-8')).ok).to.equal(false);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});